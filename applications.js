@@ -0,0 +1,164 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_APPLICATIONS_FILE = fileURLToPath(new URL('./applications.json', import.meta.url));
+
+// Download order, lower values are fetched first
+const DEFAULT_PRIORITY = 100;
+
+const LANGUAGES = ['de', 'en', 'fr', 'it', 'es', 'nl', 'pl', 'cs', 'sv', 'pt', 'ru', 'tr', 'ja', 'zh', 'ko'];
+const PLATFORM_PATTERN = /(?:^|[^a-z0-9])(x64|x86|win64|win32|arm64|linux|macos|mac)(?=[^a-z0-9]|$)/i;
+const PART_PATTERN = /(?:part|teil)[\s_-]*(\d+)|[_-](\d+)of\d+|\.(\d{3})$/i;
+
+function compileRule(rule, location) {
+  const compiled = {};
+
+  for (const field of ['title', 'url']) {
+    if (rule[field] === undefined) {
+      continue;
+    }
+    try {
+      compiled[field] = new RegExp(rule[field], 'i');
+    } catch (error) {
+      throw new Error(`Ungültige Regel ${location}.${field}: ${error.message}`);
+    }
+  }
+
+  if (Object.keys(compiled).length === 0) {
+    throw new Error(`Regel ${location} braucht "title" oder "url"`);
+  }
+
+  return compiled;
+}
+
+// Which variants of a category to mirror, anything not listed is skipped
+function compileFilters(filters, location) {
+  if (!filters) {
+    return null;
+  }
+
+  const compiled = {};
+  for (const field of ['language', 'platform']) {
+    if (filters[field] !== undefined) {
+      compiled[field] = [].concat(filters[field]).map(value => String(value).toLowerCase());
+    }
+  }
+  if (filters.part !== undefined) {
+    try {
+      compiled.part = new RegExp(filters.part, 'i');
+    } catch (error) {
+      throw new Error(`Ungültiger Filter ${location}.part: ${error.message}`);
+    }
+  }
+  return compiled;
+}
+
+function compileApplication(appType, definition) {
+  if (!definition.url && !definition.urlEnv) {
+    throw new Error(`Anwendung ${appType} hat keine URL`);
+  }
+
+  const categories = (definition.categories || []).map((category, index) => {
+    if (!category.id) {
+      throw new Error(`Kategorie ${appType}[${index}] hat keine id`);
+    }
+    return {
+      id: category.id,
+      displayName: category.displayName || category.id,
+      priority: category.priority ?? DEFAULT_PRIORITY,
+      // Optional categories may be missing from the page without counting as portal drift
+      expected: category.expected ?? true,
+      // Split archives, firmware or language variants: every matching artifact is kept, not only the first
+      multiple: category.multiple || false,
+      filters: compileFilters(category.filters, `${appType}.${category.id}`),
+      rules: (category.rules || []).map((rule, ruleIndex) =>
+        compileRule(rule, `${appType}.${category.id}[${ruleIndex}]`))
+    };
+  });
+
+  return {
+    name: definition.name || appType,
+    url: definition.url,
+    urlEnv: definition.urlEnv,
+    categories
+  };
+}
+
+// Applications come from the "applications" section of the config, the shipped file is the default
+export function loadApplications(config = {}) {
+  const definitions = config.applications
+    || JSON.parse(fs.readFileSync(DEFAULT_APPLICATIONS_FILE, 'utf-8'));
+
+  const applications = {};
+  for (const [appType, definition] of Object.entries(definitions)) {
+    applications[appType] = compileApplication(appType, definition);
+  }
+
+  return applications;
+}
+
+export function getApplicationUrl(application) {
+  // Environment variables still win so existing .env files keep working
+  return (application.urlEnv && process.env[application.urlEnv]) || application.url;
+}
+
+export function matchCategory(application, download) {
+  // First category with a matching rule wins, so order in the config matters
+  for (const category of application.categories) {
+    const matches = category.rules.some(rule =>
+      (!rule.title || rule.title.test(download.title)) &&
+      // Downloads started by a click may come from a URL without the file name in it
+      (!rule.url || rule.url.test(download.url) || (download.fileName && rule.url.test(download.fileName))));
+
+    if (matches) {
+      return category;
+    }
+  }
+
+  return null;
+}
+
+// Language, platform and part number as far as the portal entry or the file name tell
+export function describeArtifact(download, fileName) {
+  const name = fileName || download.title || '';
+  const languageMatch = name.match(new RegExp(`(?:^|[_.\\s-])(${LANGUAGES.join('|')})(?=[_.\\s-]|$)`, 'i'));
+  const partMatch = name.match(PART_PATTERN);
+
+  return {
+    language: (download.language ? String(download.language).slice(0, 2) : languageMatch?.[1])?.toLowerCase() || null,
+    platform: name.match(PLATFORM_PATTERN)?.[1].toLowerCase() || null,
+    part: partMatch ? parseInt(partMatch[1] || partMatch[2] || partMatch[3]) : null
+  };
+}
+
+// Artifacts whose language or platform is unknown pass, they might be the only variant there is
+export function passesFilters(category, artifact, fileName) {
+  const filters = category.filters;
+  if (!filters) {
+    return true;
+  }
+  if (filters.language && artifact.language && !filters.language.includes(artifact.language)) {
+    return false;
+  }
+  if (filters.platform && artifact.platform && !filters.platform.includes(artifact.platform)) {
+    return false;
+  }
+  if (filters.part && !filters.part.test(fileName || '')) {
+    return false;
+  }
+  return true;
+}
+
+// Stays the same from one release to the next: the file name without version and extension
+export function getVariantKey(fileName, version, artifact) {
+  // Numbered extensions like ".001" are parts of a split archive, they stay
+  const stem = (fileName || '')
+    .replace(/\.[a-z][a-z0-9]*$/i, '')
+    .split(version || '\0').join('')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  // A language known only from the portal entry has to show up in the key as well
+  const language = artifact.language && !stem.split('-').includes(artifact.language) ? artifact.language : null;
+  return [language, stem || 'default'].filter(Boolean).join('-');
+}
@@ -0,0 +1,14 @@
+import fs from 'fs';
+
+// Structured settings that do not fit into environment variables
+export function loadConfig(configPath = process.env.CONFIG_FILE || './config.json') {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Konfiguration ${configPath} ist ungültig: ${error.message}`);
+  }
+}
@@ -0,0 +1,192 @@
+import http from 'http';
+import logger from './logger.js';
+import { findFirstSeen } from './run-history.js';
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="utf-8">
+  <title>BMW ISTA Downloader</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 2rem; min-width: 60%; }
+    th, td { text-align: left; padding: 0.4rem 0.8rem; border-bottom: 1px solid #ddd; }
+    th { background: #f3f3f3; }
+    .corrupted { color: #b00020; font-weight: bold; }
+    .muted { color: #777; }
+    button { padding: 0.5rem 1rem; font-size: 1rem; }
+  </style>
+</head>
+<body>
+  <h1>BMW ISTA Downloader</h1>
+  <p id="check"></p>
+  <button id="trigger">Jetzt prüfen</button>
+  <span id="message" class="muted"></span>
+
+  <h2>Lokale Versionen</h2>
+  <table>
+    <thead><tr><th>Kategorie</th><th>Version</th><th>Datei</th><th>Größe</th><th>Heruntergeladen</th></tr></thead>
+    <tbody id="downloads"></tbody>
+  </table>
+
+  <h2>Fehlversuche</h2>
+  <table>
+    <thead><tr><th>Vorgang</th><th>In Folge</th><th>Zuletzt</th><th>Fehler</th></tr></thead>
+    <tbody id="failures"></tbody>
+  </table>
+
+  <h2>Portal-Abgleich</h2>
+  <table>
+    <thead><tr><th>Anwendung</th><th>Status</th><th>Fehlende Kategorien</th><th>Nicht erkannte Links</th><th>Zuletzt vollständig</th></tr></thead>
+    <tbody id="health"></tbody>
+  </table>
+
+  <h2>Portal</h2>
+  <table>
+    <thead><tr><th>Anwendung</th><th>Kategorie</th><th>Version</th><th>Gefunden</th></tr></thead>
+    <tbody id="catalog"></tbody>
+  </table>
+
+  <script>
+    const formatDate = value => value ? new Date(value).toLocaleString('de-DE') : '-';
+    const formatSize = bytes => bytes ? (bytes / 1024 / 1024).toFixed(1) + ' MB' : '-';
+    const escape = value => String(value ?? '-').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+    async function refresh() {
+      const [status, catalog] = await Promise.all([
+        fetch('api/status').then(response => response.json()),
+        fetch('api/catalog').then(response => response.json())
+      ]);
+
+      const last = status.lastCheck;
+      document.getElementById('check').textContent =
+        (status.checkInProgress ? 'Update-Check läuft... ' : '') +
+        'Letzter Check: ' + formatDate(last && last.finishedAt) +
+        (last ? (last.error ? ' (Fehler: ' + last.error + ')' : ' (' + last.successCount + ' erfolgreich, ' + last.failCount + ' fehlgeschlagen)') : '') +
+        ' | Nächster Check: ' + formatDate(status.nextCheckAt);
+      document.getElementById('trigger').disabled = status.checkInProgress;
+
+      document.getElementById('downloads').innerHTML = Object.entries(status.downloads).map(([key, entry]) =>
+        '<tr' + (entry.integrity === 'corrupted' ? ' class="corrupted"' : '') + '>' +
+        '<td>' + escape(entry.displayName || key) + '</td><td>' + escape(entry.version) + '</td>' +
+        '<td>' + escape(entry.fileName) + '</td><td>' + formatSize(entry.fileSize) + '</td>' +
+        '<td>' + formatDate(entry.downloadedAt) + '</td></tr>').join('');
+
+      document.getElementById('failures').innerHTML = status.failures.length === 0
+        ? '<tr><td colspan="4" class="muted">Keine</td></tr>'
+        : status.failures.map(failure =>
+          '<tr class="corrupted"><td>' + escape(failure.operation + ':' + failure.subject) + '</td>' +
+          '<td>' + escape(failure.consecutiveFailures) + '</td><td>' + formatDate(failure.lastFailureAt) + '</td>' +
+          '<td>' + escape(failure.lastError) + '</td></tr>').join('');
+
+      document.getElementById('health').innerHTML = Object.entries(status.scrapeHealth).map(([appType, health]) =>
+        '<tr' + (health.status === 'drift' ? ' class="corrupted"' : '') + '><td>' + escape(appType) + '</td>' +
+        '<td>' + escape(health.status) + '</td><td>' + escape(health.missing.join(', ') || '-') + '</td>' +
+        '<td>' + escape(health.unrecognised.map(link => link.title).join(', ') || '-') + '</td>' +
+        '<td>' + formatDate(health.lastOkAt) + '</td></tr>').join('');
+
+      document.getElementById('catalog').innerHTML = Object.entries(catalog).flatMap(([appType, app]) =>
+        Object.entries(app.downloads).map(([category, download]) =>
+          '<tr><td>' + escape(appType) + '</td><td>' + escape(download.displayName || category) + '</td>' +
+          '<td>' + escape(download.version) + '</td><td>' + formatDate(app.scrapedAt) + '</td></tr>')).join('');
+    }
+
+    document.getElementById('trigger').addEventListener('click', async () => {
+      const response = await fetch('api/check', { method: 'POST' });
+      const body = await response.json();
+      document.getElementById('message').textContent = body.message;
+      refresh();
+    });
+
+    refresh();
+    setInterval(refresh, 10000);
+  </script>
+</body>
+</html>`;
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function getStatus(downloader) {
+  const downloads = {};
+  for (const [key, entry] of Object.entries(downloader.metadata)) {
+    downloads[key] = {
+      displayName: entry.displayName,
+      version: entry.version,
+      fileName: entry.fileName,
+      fileSize: entry.fileSize,
+      sha256: entry.sha256,
+      downloadedAt: entry.downloadedAt,
+      integrity: entry.integrity || 'ok'
+    };
+  }
+
+  const failures = Object.values(downloader.attemptLog)
+    .filter(record => record.consecutiveFailures > 0)
+    .map(({ operation, subject, consecutiveFailures, lastFailureAt, lastError }) =>
+      ({ operation, subject, consecutiveFailures, lastFailureAt, lastError }));
+
+  return {
+    profile: downloader.profile.name,
+    checkInProgress: Boolean(downloader.checkInProgress),
+    lastCheck: downloader.lastCheck,
+    nextCheckAt: downloader.nextCheckAt,
+    downloads,
+    failures,
+    scrapeHealth: downloader.scrapeHealth,
+    heldVersions: downloader.heldVersions
+  };
+}
+
+function triggerCheck(downloader, res) {
+  if (downloader.checkInProgress) {
+    sendJson(res, 409, { message: 'Update-Check läuft bereits' });
+    return;
+  }
+
+  logger.info('🖱️ Update-Check über Dashboard angefordert');
+  downloader.runCheck().catch(error => {
+    logger.error(`❌ Fehler beim manuellen Update-Check: ${error.message}`);
+  });
+
+  sendJson(res, 202, { message: 'Update-Check gestartet' });
+}
+
+export function startDashboard(downloader, { port, host }) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    logger.debug(`Dashboard: ${req.method} ${pathname}`);
+
+    try {
+      if (req.method === 'GET' && pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(DASHBOARD_HTML);
+      } else if (req.method === 'GET' && pathname === '/api/status') {
+        sendJson(res, 200, getStatus(downloader));
+      } else if (req.method === 'GET' && pathname === '/api/catalog') {
+        sendJson(res, 200, downloader.catalog);
+      } else if (req.method === 'GET' && pathname === '/api/runs') {
+        sendJson(res, 200, await downloader.loadRunHistory({ since: searchParams.get('since') }));
+      } else if (req.method === 'GET' && pathname === '/api/versions') {
+        sendJson(res, 200, findFirstSeen(await downloader.loadRunHistory(), { since: searchParams.get('since') }));
+      } else if (req.method === 'POST' && pathname === '/api/check') {
+        triggerCheck(downloader, res);
+      } else {
+        sendJson(res, 404, { message: 'Nicht gefunden' });
+      }
+    } catch (error) {
+      logger.error(`❌ Dashboard-Fehler: ${error.message}`);
+      sendJson(res, 500, { message: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info(`📊 Dashboard erreichbar unter http://${host}:${server.address().port}/`);
+      resolve(server);
+    });
+  });
+}
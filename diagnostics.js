@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { readZip, buildZip } from './zip.js';
+
+// Requests and console messages kept for the next bundle
+const NETWORK_LOG_SIZE = 200;
+const CONSOLE_LOG_SIZE = 50;
+
+const SENSITIVE_PARAM = /pass|token|secret|session|signature|credential|auth|^code$|^otp$|^sig$/i;
+const SENSITIVE_INPUT = /type=["']?(password|hidden)|name=["'][^"']*(pass|token|csrf|otp|code)/i;
+const SENSITIVE_HEADER = /^(cookie|set-cookie|authorization|proxy-authorization)$/i;
+const REDACTED = '[entfernt]';
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function safeName(value) {
+  return String(value).replace(/[^\w.-]+/g, '_');
+}
+
+// Presigned links and login redirects carry their tokens in the query
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SENSITIVE_PARAM.test(name)) {
+        parsed.searchParams.set(name, REDACTED);
+      }
+    }
+    return parsed.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+export function redactText(text, secrets = []) {
+  let redacted = text.replace(/<input\b[^>]*>/gi, tag => SENSITIVE_INPUT.test(tag)
+    ? tag.replace(/\bvalue=("[^"]*"|'[^']*'|[^\s>]*)/i, `value="${REDACTED}"`)
+    : tag);
+
+  for (const secret of secrets) {
+    if (secret && secret.length >= 4) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  }
+  return redacted;
+}
+
+function redactTraceValue(value, secrets) {
+  if (typeof value === 'string') {
+    return redactText(value, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactTraceValue(item, secrets));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key === 'cookies' && Array.isArray(item)) {
+      redacted[key] = item.map(cookie => ({ ...cookie, value: REDACTED }));
+    } else if (key === 'value' && typeof value.name === 'string' && SENSITIVE_HEADER.test(value.name)) {
+      redacted[key] = REDACTED;
+    } else if (key === 'url' && typeof item === 'string') {
+      redacted[key] = redactUrl(item);
+    } else {
+      redacted[key] = redactTraceValue(item, secrets);
+    }
+  }
+  return redacted;
+}
+
+// Request and response headers, HAR cookie lists and every known secret leave the trace's event logs
+export async function redactTrace(filePath, secrets = []) {
+  const entries = await readZip(filePath);
+  const redacted = entries.map(({ name, data }) => {
+    if (!/\.(trace|network|stacks)$/.test(name)) {
+      return { name, data };
+    }
+    const lines = data.toString('utf-8').split('\n').map(line => {
+      if (!line.trim()) {
+        return line;
+      }
+      try {
+        return JSON.stringify(redactTraceValue(JSON.parse(line), secrets));
+      } catch (error) {
+        return redactText(line, secrets);
+      }
+    });
+    return { name, data: Buffer.from(lines.join('\n'), 'utf-8') };
+  });
+  await fs.writeFile(filePath, buildZip(redacted));
+}
+
+// Opt-in: Playwright trace per check cycle and a folder with page state for every failure
+export class Diagnostics {
+  constructor({ enabled = false, dir, keep = 10, trace = true, secrets = [] } = {}) {
+    this.enabled = enabled;
+    this.dir = dir;
+    this.keep = keep;
+    this.trace = enabled && trace;
+    this.secrets = secrets;
+    this.networkLog = [];
+    this.consoleLog = [];
+    this.traceChunks = [];
+    this.tracing = false;
+    this.bundlesInCycle = 0;
+  }
+
+  async attach(context, page) {
+    if (!this.enabled) {
+      return;
+    }
+
+    context.on('response', response => this.logRequest(response.request(), { status: response.status() }));
+    context.on('requestfailed', request => this.logRequest(request, { failure: request.failure()?.errorText }));
+    page.on('console', message => {
+      if (message.type() === 'error' || message.type() === 'warning') {
+        this.consoleLog = [
+          ...this.consoleLog,
+          { at: new Date().toISOString(), type: message.type(), text: redactText(message.text(), this.secrets) }
+        ].slice(-CONSOLE_LOG_SIZE);
+      }
+    });
+
+    if (this.trace) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
+  }
+
+  logRequest(request, result) {
+    this.networkLog = [...this.networkLog, {
+      at: new Date().toISOString(),
+      method: request.method(),
+      url: redactUrl(request.url()),
+      resourceType: request.resourceType(),
+      ...result
+    }].slice(-NETWORK_LOG_SIZE);
+  }
+
+  async startTrace(context) {
+    this.bundlesInCycle = 0;
+    if (!this.trace || !context) {
+      return;
+    }
+
+    try {
+      await context.tracing.startChunk();
+      this.tracing = true;
+    } catch (error) {
+      logger.warn(`⚠️ Trace konnte nicht gestartet werden: ${error.message}`);
+    }
+  }
+
+  // Playwright records fill() arguments, form posts and input values, the whole login stays out of the trace
+  async withoutTrace(context, task) {
+    if (!this.tracing) {
+      return task();
+    }
+
+    const chunkPath = path.join(this.dir, '.trace', `chunk-${this.traceChunks.length + 1}.zip`);
+    await fs.mkdir(path.dirname(chunkPath), { recursive: true });
+    await context.tracing.stopChunk({ path: chunkPath });
+    this.traceChunks.push(chunkPath);
+    try {
+      return await task();
+    } finally {
+      await context.tracing.startChunk();
+    }
+  }
+
+  // Traces of cycles without failures are dropped, they would only fill the disk
+  async stopTrace(context, runId) {
+    if (!this.tracing) {
+      return null;
+    }
+    this.tracing = false;
+
+    const chunks = this.traceChunks;
+    this.traceChunks = [];
+    try {
+      if (this.bundlesInCycle === 0) {
+        await context.tracing.stopChunk();
+        return null;
+      }
+
+      const traceDir = path.join(this.dir, `${timestamp()}-trace-${safeName(runId)}`);
+      await fs.mkdir(traceDir, { recursive: true });
+      await context.tracing.stopChunk({ path: path.join(traceDir, `trace-${chunks.length + 1}.zip`) });
+      for (const [index, chunkPath] of chunks.entries()) {
+        await fs.rename(chunkPath, path.join(traceDir, `trace-${index + 1}.zip`));
+      }
+
+      // Cookie values of the session may turn up anywhere in the recorded requests
+      const cookieValues = (await context.cookies().catch(() => [])).map(cookie => cookie.value);
+      for (const file of await fs.readdir(traceDir)) {
+        await redactTrace(path.join(traceDir, file), [...this.secrets, ...cookieValues]);
+        await fs.chmod(path.join(traceDir, file), 0o600);
+      }
+      await this.prune();
+      logger.info(`🩺 Playwright-Trace gespeichert: ${traceDir} (npx playwright show-trace)`);
+      return traceDir;
+    } catch (error) {
+      logger.warn(`⚠️ Trace konnte nicht gespeichert werden: ${error.message}`);
+      return null;
+    } finally {
+      await Promise.all(chunks.map(chunkPath => fs.rm(chunkPath, { force: true })));
+    }
+  }
+
+  async capture(page, { operation, subject, error, runId = null }) {
+    if (!this.enabled || !page) {
+      return null;
+    }
+
+    const bundleDir = path.join(this.dir, `${timestamp()}-${safeName(operation)}-${safeName(subject)}`);
+    try {
+      await fs.mkdir(path.join(bundleDir, 'frames'), { recursive: true });
+
+      await page.screenshot({
+        path: path.join(bundleDir, 'screenshot.png'),
+        fullPage: true,
+        mask: [page.locator('input[type="password"], input[name="j_username"]')]
+      }).catch(screenshotError => logger.debug(`Screenshot fehlgeschlagen: ${screenshotError.message}`));
+
+      await fs.writeFile(path.join(bundleDir, 'page.html'), redactText(await page.content(), this.secrets));
+
+      // Cross-origin frames included, the download list usually lives in one of them
+      const frames = [];
+      for (const [index, frame] of page.frames().entries()) {
+        const fileName = `${String(index).padStart(2, '0')}-${safeName(frame.name() || 'frame')}.html`;
+        try {
+          await fs.writeFile(path.join(bundleDir, 'frames', fileName), redactText(await frame.content(), this.secrets));
+          frames.push({ index, name: frame.name(), url: redactUrl(frame.url()), file: `frames/${fileName}` });
+        } catch (frameError) {
+          frames.push({ index, name: frame.name(), url: redactUrl(frame.url()), error: frameError.message });
+        }
+      }
+
+      await fs.writeFile(path.join(bundleDir, 'info.json'), JSON.stringify({
+        capturedAt: new Date().toISOString(),
+        runId,
+        operation,
+        subject,
+        error: redactText(error?.message || String(error), this.secrets),
+        url: redactUrl(page.url()),
+        title: await page.title().catch(() => null),
+        frames,
+        console: this.consoleLog
+      }, null, 2));
+      await fs.writeFile(path.join(bundleDir, 'network.json'), JSON.stringify(this.networkLog, null, 2));
+
+      this.bundlesInCycle++;
+      await this.prune();
+      logger.info(`🩺 Diagnosedaten gespeichert: ${bundleDir}`);
+      return bundleDir;
+    } catch (captureError) {
+      // Diagnostics must never turn into a failure of their own
+      logger.warn(`⚠️ Diagnosedaten konnten nicht gespeichert werden: ${captureError.message}`);
+      return null;
+    }
+  }
+
+  // Folder names start with their timestamp, so the oldest sort first
+  async prune() {
+    const entries = (await fs.readdir(this.dir, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const name of entries.slice(0, Math.max(0, entries.length - this.keep))) {
+      await fs.rm(path.join(this.dir, name), { recursive: true, force: true });
+    }
+  }
+}
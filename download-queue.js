@@ -0,0 +1,95 @@
+import { Transform } from 'stream';
+
+// Jobs with a lower priority value start first, equal priorities keep their order
+export class DownloadQueue {
+  constructor({ concurrency = 1 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.waiting = [];
+    this.running = 0;
+    this.sequence = 0;
+  }
+
+  add(job, priority = 0) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ job, priority, sequence: this.sequence++, resolve, reject });
+      this.waiting.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      // Start on the next tick, so jobs added in one go are ordered before the first one runs
+      queueMicrotask(() => this.next());
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const { job, resolve, reject } = this.waiting.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+  }
+}
+
+// Token bucket shared by all transfers, so the limit holds no matter how many run at once
+export class BandwidthLimiter {
+  constructor(bytesPerSecond = 0) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.available = bytesPerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  get enabled() {
+    return this.bytesPerSecond > 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(
+      this.bytesPerSecond,
+      this.available + (now - this.updatedAt) / 1000 * this.bytesPerSecond
+    );
+    this.updatedAt = now;
+  }
+
+  async take(bytes) {
+    if (!this.enabled) {
+      return;
+    }
+
+    // Reserve right away and wait off the debt, concurrent callers queue up behind each other
+    this.refill();
+    this.available -= bytes;
+    if (this.available < 0) {
+      const delay = Math.ceil(-this.available / this.bytesPerSecond * 1000);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  createStream() {
+    const limiter = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        limiter.take(chunk.length).then(() => callback(null, chunk), callback);
+      }
+    });
+  }
+}
+
+// "512K", "2M" or plain bytes per second, 0 or empty disables the limit
+export function parseBandwidth(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b(?:\/s)?)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Ungültige Bandbreite: ${value} (erwartet z.B. 512K oder 2M)`);
+  }
+
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
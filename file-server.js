@@ -0,0 +1,133 @@
+import http from 'http';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { toPublicPath } from './publish.js';
+
+// Only files recorded in the metadata are served, never .part files, sessions or logs
+function findPublishedFile(downloader, publicPath) {
+  for (const entry of Object.values(downloader.metadata)) {
+    const releases = entry.history || (entry.filePath ? [entry] : []);
+    const release = releases.find(candidate => toPublicPath(downloader.downloadDir, candidate.filePath) === publicPath);
+    if (release) {
+      return release;
+    }
+  }
+  return null;
+}
+
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  // "bytes=-500" asks for the last 500 bytes
+  const start = match[1] === '' ? Math.max(0, size - parseInt(match[2])) : parseInt(match[1]);
+  const end = match[1] === '' || match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  return { start, end };
+}
+
+// Quotes or non-ASCII characters in a plain filename="" break the header, so they go into filename* (RFC 6266)
+function contentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+async function sendFile(req, res, release) {
+  const stats = await fs.stat(release.filePath).catch(() => null);
+  if (!stats) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Datei nicht mehr vorhanden');
+    return;
+  }
+
+  const etag = `"${release.sha256}"`;
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': contentDisposition(release.fileName),
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': stats.mtime.toUTCString()
+  };
+
+  // A range for another version of the file would produce garbage, send all of it instead
+  const ifRange = req.headers['if-range'];
+  const range = req.headers.range && (!ifRange || ifRange === etag)
+    ? parseRange(req.headers.range, stats.size)
+    : null;
+
+  if (range && (range.start >= stats.size || range.start > range.end)) {
+    res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+    res.end();
+    return;
+  }
+
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      'Content-Length': range.end - range.start + 1,
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`
+    });
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  createReadStream(release.filePath, range ? { start: range.start, end: range.end } : {})
+    .on('error', error => {
+      logger.error(`❌ Fehler beim Ausliefern von ${release.fileName}: ${error.message}`);
+      res.destroy();
+    })
+    .pipe(res);
+}
+
+export function startFileServer(downloader, { port, host }) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    logger.debug(`Dateiserver: ${req.method} ${pathname}`);
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD' });
+        res.end();
+      } else if (pathname === '/manifest.json' || pathname === '/feed.atom') {
+        const contentType = pathname === '/manifest.json' ? 'application/json; charset=utf-8' : 'application/atom+xml; charset=utf-8';
+        const body = await fs.readFile(path.join(downloader.downloadDir, pathname.slice(1)));
+        res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': body.length });
+        res.end(req.method === 'HEAD' ? undefined : body);
+      } else if (pathname.startsWith('/files/')) {
+        const release = findPublishedFile(downloader, decodeURIComponent(pathname.slice('/files/'.length)));
+        if (release) {
+          await sendFile(req, res, release);
+        } else {
+          res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('Nicht gefunden');
+        }
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Nicht gefunden');
+      }
+    } catch (error) {
+      logger.error(`❌ Dateiserver-Fehler: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(error.code === 'ENOENT' ? 404 : 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info(`📡 Dateiserver erreichbar unter http://${host}:${server.address().port}/manifest.json`);
+      resolve(server);
+    });
+  });
+}
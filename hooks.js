@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import path from 'path';
+import logger from './logger.js';
+import { crc32, openZip, openEntryStream } from './zip.js';
+
+export const HOOK_TYPES = ['command', 'extract', 'copy'];
+
+// Hooks from the "hooks" section of the config, keyed "app:category", "app:*" or "*"
+export function getHooks(config = {}, appType, category) {
+  const hooks = config.hooks || {};
+  return [
+    ...(hooks['*'] || []),
+    ...(hooks[`${appType}:*`] || []),
+    ...(hooks[`${appType}:${category}`] || [])
+  ].map(hook => {
+    if (!HOOK_TYPES.includes(hook.type)) {
+      throw new Error(`Unbekannter Hook-Typ für ${appType}:${category}: ${hook.type}`);
+    }
+    // Values from the portal pasted into a shell line could run anything, commands read them from the environment
+    if (hook.type === 'command' && PLACEHOLDER.test(hook.command)) {
+      throw new Error(`Hook für ${appType}:${category}: Platzhalter in Befehlen werden nicht ersetzt, ISTA_FILE, ISTA_VERSION usw. verwenden`);
+    }
+    return hook;
+  });
+}
+
+const PLACEHOLDER = /\{(app|category|version|fileName|profile)\}/;
+
+// "{app}", "{category}", "{version}", "{fileName}" and "{profile}" in target paths
+function expand(template, artifact) {
+  return template.replace(new RegExp(PLACEHOLDER.source, 'g'), (match, name) => ({
+    app: artifact.appType,
+    category: artifact.category,
+    version: artifact.version,
+    fileName: artifact.fileName,
+    profile: artifact.profile
+  })[name] ?? match);
+}
+
+// The shell runs the command in a child of its own, killing only the shell would leave that running
+function killTree(child) {
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' }).on('error', () => {});
+    return;
+  }
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    // Already gone
+  }
+}
+
+function runCommand(hook, artifact, outputs) {
+  const env = {
+    ...process.env,
+    ISTA_FILE: artifact.filePath,
+    ISTA_FILE_NAME: artifact.fileName,
+    ISTA_VERSION: artifact.version,
+    ISTA_APP: artifact.appType,
+    ISTA_CATEGORY: artifact.category,
+    ISTA_SHA256: artifact.sha256,
+    ISTA_PROFILE: artifact.profile,
+    ...(outputs.extractDir ? { ISTA_EXTRACT_DIR: outputs.extractDir } : {})
+  };
+  const timeoutMs = (hook.timeout || 600) * 1000;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(hook.command, {
+      shell: true,
+      // Own process group, so a timeout can take the whole tree down
+      detached: process.platform !== 'win32',
+      cwd: hook.cwd,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const collect = chunk => {
+      output = (output + chunk).slice(-4000);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      killTree(child);
+      reject(new Error(`Befehl nach ${timeoutMs / 1000} Sekunden abgebrochen`));
+    }, timeoutMs);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      logger.debug(`   Hook-Ausgabe: ${output.trim()}`);
+      if (code === 0) {
+        resolve();
+      } else {
+        const lastLine = output.trim().split('\n').pop();
+        reject(new Error(`Befehl endete mit Exit-Code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+      }
+    });
+  });
+}
+
+async function extractZip(hook, artifact, outputs) {
+  const targetDir = path.resolve(hook.target
+    ? expand(hook.target, artifact)
+    : path.join(path.dirname(artifact.filePath), path.parse(artifact.fileName).name));
+  const markerPath = path.join(targetDir, '.extracted.json');
+
+  // Already unpacked from exactly this archive
+  const marker = await fs.readFile(markerPath, 'utf-8').then(JSON.parse, () => null);
+  if (marker?.sha256 === artifact.sha256) {
+    logger.info(`📦 Bereits entpackt: ${targetDir}`);
+    outputs.extractDir = targetDir;
+    return;
+  }
+
+  // Unpack next to the target and swap it in once every entry checked out
+  const stagingDir = `${targetDir}.tmp-${process.pid}`;
+  await fs.rm(stagingDir, { recursive: true, force: true });
+  await fs.mkdir(stagingDir, { recursive: true });
+
+  const zipFile = await openZip(artifact.filePath);
+  let fileCount = 0;
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', async entry => {
+        try {
+          const entryPath = path.resolve(stagingDir, entry.fileName);
+          if (!entryPath.startsWith(stagingDir + path.sep)) {
+            throw new Error(`Unzulässiger Pfad im Archiv: ${entry.fileName}`);
+          }
+
+          if (entry.fileName.endsWith('/')) {
+            await fs.mkdir(entryPath, { recursive: true });
+          } else {
+            await fs.mkdir(path.dirname(entryPath), { recursive: true });
+
+            let crc = 0;
+            const crcStream = new Transform({
+              transform(chunk, encoding, callback) {
+                crc = crc32(chunk, crc);
+                callback(null, chunk);
+              }
+            });
+            await pipeline(await openEntryStream(zipFile, entry), crcStream, createWriteStream(entryPath));
+
+            if (crc !== entry.crc32) {
+              throw new Error(`CRC-Prüfung fehlgeschlagen: ${entry.fileName}`);
+            }
+            fileCount++;
+          }
+
+          zipFile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipFile.readEntry();
+    });
+
+    await fs.writeFile(path.join(stagingDir, '.extracted.json'), JSON.stringify({
+      archive: artifact.fileName,
+      version: artifact.version,
+      sha256: artifact.sha256,
+      extractedAt: new Date().toISOString()
+    }, null, 2));
+
+    await fs.rm(targetDir, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(targetDir), { recursive: true });
+    await fs.rename(stagingDir, targetDir);
+  } catch (error) {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    throw error;
+  } finally {
+    zipFile.close();
+  }
+
+  logger.info(`📦 ${fileCount} Dateien entpackt nach ${targetDir}`);
+  outputs.extractDir = targetDir;
+}
+
+async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+async function copyArtifact(hook, artifact) {
+  const targets = hook.targets || (hook.target ? [hook.target] : []);
+  if (targets.length === 0) {
+    throw new Error('Copy-Hook braucht "targets"');
+  }
+
+  for (const target of targets) {
+    const targetDir = expand(target, artifact);
+    const targetPath = path.join(targetDir, artifact.fileName);
+
+    // Sync leaves identical copies alone
+    if (hook.sync) {
+      const stats = await fs.stat(targetPath).catch(() => null);
+      if (stats?.size === artifact.fileSize && await hashFile(targetPath) === artifact.sha256) {
+        logger.info(`📁 Bereits aktuell: ${targetPath}`);
+        continue;
+      }
+    }
+
+    // Copy under a temporary name first, a share must never see half a file
+    await fs.mkdir(targetDir, { recursive: true });
+    const partPath = `${targetPath}.part`;
+    try {
+      await fs.copyFile(artifact.filePath, partPath);
+      await fs.rename(partPath, targetPath);
+    } catch (error) {
+      await fs.rm(partPath, { force: true });
+      throw error;
+    }
+    logger.info(`📁 Kopiert nach ${targetPath}`);
+
+    // ...and drops the file of the previous release from the target
+    if (hook.sync && artifact.previousFileName && artifact.previousFileName !== artifact.fileName) {
+      await fs.rm(path.join(targetDir, artifact.previousFileName), { force: true });
+    }
+  }
+}
+
+// Runs the hooks in order and stops at the first failure, later hooks usually build on earlier ones
+export async function runHooks(hooks, artifact) {
+  const results = [];
+  const outputs = {};
+
+  for (const hook of hooks) {
+    const at = new Date().toISOString();
+    try {
+      switch (hook.type) {
+        case 'command':
+          logger.info(`⚙️ Führe Hook aus: ${hook.command}`);
+          await runCommand(hook, artifact, outputs);
+          break;
+        case 'extract':
+          await extractZip(hook, artifact, outputs);
+          break;
+        case 'copy':
+          await copyArtifact(hook, artifact);
+          break;
+      }
+      results.push({ type: hook.type, ok: true, at });
+    } catch (error) {
+      results.push({ type: hook.type, ok: false, at, error: error.message });
+      break;
+    }
+  }
+
+  return results;
+}
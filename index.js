@@ -1,63 +1,318 @@
 import { chromium } from 'playwright';
-import winston from 'winston';
 import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createHash } from 'crypto';
 import path from 'path';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Configure logger
-const logger = winston.createLogger({
-  level: process.env.DEBUG === 'true' ? 'debug' : 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'bmw-downloader.log' })
-  ]
-});
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import logger from './logger.js';
+import { loadConfig } from './config.js';
+import {
+  loadApplications,
+  getApplicationUrl,
+  matchCategory,
+  describeArtifact,
+  passesFilters,
+  getVariantKey
+} from './applications.js';
+import { startDashboard } from './dashboard.js';
+import { Notifier } from './notifications.js';
+import {
+  validateCron,
+  findMissedChecks,
+  findNextRun,
+  parseWindow,
+  isInWindows,
+  windowStartExpression,
+  scheduleTask
+} from './scheduler.js';
+import { DownloadQueue, BandwidthLimiter, parseBandwidth } from './download-queue.js';
+import { getRetryPolicy, getRetryDelay, classifyError } from './retry.js';
+import { loadProfiles, selectProfiles, DEFAULT_PROFILE } from './profiles.js';
+import { getHooks, runHooks } from './hooks.js';
+import { buildManifest, buildAtomFeed } from './publish.js';
+import { startFileServer } from './file-server.js';
+import { getSyncPolicy, getHoldReason } from './sync-policy.js';
+import { RUN_HISTORY_FILE, createRunId, appendRun, readRuns, findFirstSeen } from './run-history.js';
+import { generateTotp, getTotpRemaining } from './totp.js';
+import { Diagnostics } from './diagnostics.js';
+
+// Field names the portal API uses for the same information, first hit wins
+const CATALOG_FIELDS = {
+  title: ['title', 'name', 'displayName', 'label', 'fileName'],
+  portalVersion: ['version', 'versionNumber', 'release'],
+  releaseDate: ['releaseDate', 'publishedAt', 'publicationDate', 'createdAt', 'date'],
+  size: ['size', 'fileSize', 'contentLength'],
+  releaseNotes: ['releaseNotes', 'notes', 'description'],
+  language: ['language', 'lang', 'locale']
+};
+
+// Pages of the ForgeRock XUI login that end the login, matched against headings and error boxes.
+// Order matters: a locked account also reports "Anmeldung fehlgeschlagen"
+const LOGIN_FAILURES = [
+  {
+    code: 'account_locked',
+    pattern: /gesperrt|locked|inaktiv|inactive/i,
+    message: 'Konto ist gesperrt'
+  },
+  {
+    code: 'password_expired',
+    pattern: /passwort.{0,20}(abgelaufen|ändern)|kennwort.{0,20}(abgelaufen|ändern)|password.{0,20}(expired|change)|change.{0,20}password/i,
+    message: 'Passwort ist abgelaufen und muss im Portal geändert werden'
+  },
+  {
+    code: 'terms_required',
+    pattern: /nutzungsbedingungen|einwilligung|terms (and|&) conditions|terms of use|consent/i,
+    message: 'Nutzungsbedingungen müssen im Portal bestätigt werden'
+  },
+  {
+    code: 'invalid_credentials',
+    pattern: /ungültig|falsch|fehlgeschlagen|invalid|incorrect|failed/i,
+    message: 'Benutzername oder Passwort wurde abgewiesen'
+  }
+];
+
+const LOGIN_MESSAGE_SELECTOR = 'h1, h2, h3, .alert, .alert-danger, [role="alert"], .error';
+const TOTP_SELECTOR = 'input[autocomplete="one-time-code"], input[name="otp"], input[name*="totp" i], input[name*="verificationCode" i], input[placeholder*="code" i]';
+
+// Failures that cost one of the attempts the portal allows before it locks the account
+const CREDENTIAL_FAILURES = ['invalid_credentials', 'totp_rejected', 'account_locked'];
+
+class LoginError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LoginError';
+    this.code = code;
+  }
+}
+
+class SessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionExpiredError';
+  }
+}
+
+class DownloadDeferredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DownloadDeferredError';
+  }
+}
+
+class LinkExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LinkExpiredError';
+  }
+}
+
+class InsufficientDiskSpaceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InsufficientDiskSpaceError';
+  }
+}
+
+class HttpStatusError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpStatusError';
+    this.status = status;
+  }
+}
+
+// Attempts kept per operation and subject in attempts.json
+const ATTEMPT_LOG_SIZE = 20;
+
+// Runs inside each frame through frame.evaluate, so it must not use anything from this module
+function collectDownloadElements(frameLabel) {
+  const links = [];
+  const triggers = [];
+  const isPdf = value => value.toLowerCase().includes('.pdf');
+  // Only handlers and labels that name a download or an installable file, anything else may leave the page
+  const mentionsDownload = /download|herunterladen/i;
+  const fileName = /\.(exe|zip|bin|iso|7z|istapdata)\b/i;
+  
+  document.querySelectorAll('a[href]').forEach(link => {
+    const href = link.href;
+    const text = link.textContent.trim();
+    
+    // Skip PDF files completely
+    if (isPdf(href) || isPdf(text)) {
+      return;
+    }
+    
+    if (href.includes('/api/v2/downloads') && text) {
+      links.push({ title: text, url: href, method: `link_search_${frameLabel}` });
+    }
+  });
+  
+  // Buttons and script links without a URL of their own, they are clicked later on
+  document.querySelectorAll('button, [role="button"], a[href^="javascript:"], [onclick]').forEach(element => {
+    if (element.matches('a[href*="/api/v2/downloads"]')) {
+      return;
+    }
+    
+    const text = (element.textContent || element.getAttribute('aria-label') || '').trim();
+    if (!text || isPdf(text)) {
+      return;
+    }
+    
+    const script = `${element.getAttribute('onclick') || ''} ${element.getAttribute('href') || ''}`;
+    const label = `${text} ${element.getAttribute('aria-label') || ''} ${element.getAttribute('title') || ''}`;
+    if (!(mentionsDownload.test(script) || fileName.test(script) || mentionsDownload.test(label))) {
+      return;
+    }
+    
+    // A plain "Download" button gets its name from the row it sits in
+    const isGenericLabel = /^(download|herunterladen)$/i.test(text);
+    const row = isGenericLabel ? element.closest('tr, li, [role="row"]') : null;
+    const title = row ? row.textContent.replace(/\s+/g, ' ').replace(text, '').trim() || text : text;
+    
+    element.setAttribute('data-ista-trigger', String(triggers.length));
+    triggers.push({ id: triggers.length, title });
+  });
+  
+  return { links, triggers };
+}
+
+// Unrecognised links kept per application in the catalog and scrape-health.json
+const UNRECOGNISED_LOG_SIZE = 20;
+
+// Profiles share the machine and the internet line, so their checks take turns
+let profileTurn = Promise.resolve();
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 class BMWISTADownloader {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.context = null;
     this.page = null;
-    this.downloadDir = process.env.DOWNLOAD_DIR || './downloads';
     this.isLoggedIn = false;
     this.metadata = {};
+    this.dryRun = options.dryRun || false;
+    this.config = options.config || loadConfig();
+    
+    // Credentials, locale, applications and target directory of one account
+    this.profile = options.profile || loadProfiles(this.config)[0];
+    this.downloadDir = this.profile.downloadDir;
+    this.sessionFile = this.profile.sessionFile;
+    this.sessionRestored = false;
+    this.notifier = new Notifier(this.config.notifications, {
+      dryRun: this.dryRun,
+      profile: this.profile.name !== DEFAULT_PROFILE ? this.profile.name : null
+    });
+    
+    // Runtime state exposed through the dashboard
+    this.catalog = {};
+    this.lastCheck = null;
+    this.nextCheckAt = null;
+    this.checkInProgress = null;
+    
+    // Scheduling: cron per application, downloads only inside the configured windows
+    this.schedule = this.config.schedule || {};
+    this.downloadWindows = (this.schedule.downloadWindows || (process.env.DOWNLOAD_WINDOWS || '').split(','))
+      .map(window => window.trim())
+      .filter(Boolean)
+      .map(parseWindow);
+    this.enforceDownloadWindow = false;
+    this.deferredApps = new Set();
+    this.scheduleState = { lastCheck: {} };
+    
+    // Parallel transfers share one bandwidth budget
+    this.downloadConcurrency = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 2;
+    this.bandwidthLimiter = new BandwidthLimiter(parseBandwidth(process.env.DOWNLOAD_BANDWIDTH_LIMIT));
+    this.reloginInProgress = null;
+    
+    // Free space that has to remain in DOWNLOAD_DIR, plus what running downloads still need
+    this.diskReserveBytes = (parseInt(process.env.DISK_SPACE_RESERVE_MB ?? '1024') || 0) * 1024 * 1024;
+    this.reservedBytes = 0;
+    
+    // Outcome of every navigation, scrape and download attempt, see attempts.json
+    this.attemptLog = {};
+    
+    // Expected categories the portal pages stopped showing, see scrape-health.json
+    this.scrapeHealth = {};
+    this.driftThreshold = parseInt(process.env.DRIFT_ALERT_AFTER) || 2;
     
-    // Define download categories for both ISTA-P and ISTA-Next
-    this.downloadCategories = {
-      'ista-p': {
-        'installer': 'Installationsprogramm ISTA/P',
-        'data_archive': 'Datenarchiv ISTA/P'
-      },
-      'ista-next': {
-        'client': 'Installationsdatei ISTA Client',
-        'programming_data': 'ISTA Programmierdaten',
-        'icom_firmware': 'ICOM Next Firmware',
-        'ptd_driver': 'BMW PTD-Treiber'
+    // New versions the sync policy keeps on the portal, see held-versions.json
+    this.heldVersions = {};
+    
+    // Record of the check cycle in progress, appended to runs.jsonl when it ends
+    this.currentRun = null;
+    
+    // Rejected logins in a row before we stop trying, the portal locks the account soon after
+    this.loginMaxFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 3;
+    this.loginError = null;
+    
+    // Screenshots, frame HTML and network log of failed pages, only with DIAGNOSTICS=true
+    this.diagnostics = new Diagnostics({
+      enabled: process.env.DIAGNOSTICS === 'true',
+      dir: process.env.DIAGNOSTICS_DIR || path.join(this.downloadDir, 'diagnostics'),
+      keep: parseInt(process.env.DIAGNOSTICS_KEEP) || 10,
+      trace: process.env.DIAGNOSTICS_TRACE !== 'false',
+      secrets: [this.profile.username, this.profile.password, this.profile.totpSecret]
+    });
+    
+    // Applications and their download categories come from the registry, a profile may use only some of them
+    this.applications = loadApplications(this.config);
+    if (this.profile.applications) {
+      for (const appType of this.profile.applications) {
+        if (!this.applications[appType]) {
+          throw new Error(`Profil ${this.profile.name}: unbekannte Anwendung ${appType}`);
+        }
       }
-    };
+      this.applications = Object.fromEntries(Object.entries(this.applications)
+        .filter(([appType]) => this.profile.applications.includes(appType)));
+    }
+    this.downloadCategories = {};
+    for (const [appType, application] of Object.entries(this.applications)) {
+      this.downloadCategories[appType] = Object.fromEntries(
+        application.categories.map(category => [category.id, category.displayName])
+      );
+      
+      // Typos in the hook configuration should show up at startup, not after a multi-GB download
+      application.categories.forEach(category => getHooks(this.config, appType, category.id));
+    }
+    
+    // An application whose categories are all switched off is not even opened
+    for (const [appType, application] of Object.entries(this.applications)) {
+      if (application.categories.every(category => !getSyncPolicy(this.config, appType, category.id).enabled)) {
+        logger.info(`⏭️ ${application.name} ist per Sync-Richtlinie deaktiviert`);
+        delete this.applications[appType];
+        delete this.downloadCategories[appType];
+      }
+    }
   }
 
-  async initialize() {
+  async initialize({ withBrowser = true } = {}) {
     logger.info('🚀 BMW ISTA-P Downloader wird initialisiert...');
+    if (this.profile.name !== DEFAULT_PROFILE) {
+      logger.info(`👤 Profil: ${this.profile.name} (${this.downloadDir})`);
+    }
     
     // Create download directory
     await fs.mkdir(this.downloadDir, { recursive: true });
     
     // Load metadata
     await this.loadMetadata();
+    await this.loadAttemptLog();
+    await this.loadScrapeHealth();
+    await this.loadHeldVersions();
+    
+    // Re-hash existing downloads if requested
+    if (process.env.VERIFY_ON_STARTUP === 'true') {
+      await this.verifyDownloads();
+    }
     
     // Launch browser
-    await this.launchBrowser();
+    if (withBrowser) {
+      await this.launchBrowser();
+    }
   }
 
   async launchBrowser() {
@@ -68,14 +323,19 @@ class BMWISTADownloader {
       args: ['--disable-blink-features=AutomationControlled']
     });
 
+    // Reuse the cookies of the last session if we have them
+    const storageState = await this.loadSession();
+    this.sessionRestored = Boolean(storageState);
+
     this.context = await this.browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      storageState,
+      userAgent: USER_AGENT,
       viewport: { width: 1920, height: 1080 },
-      locale: 'de-DE',
+      locale: this.profile.locale,
       acceptDownloads: true,
       extraHTTPHeaders: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8',
+        'Accept-Language': `${this.profile.locale},${this.profile.locale.split('-')[0]};q=0.9,en;q=0.8`,
         'Accept-Encoding': 'gzip, deflate, br',
         'DNT': '1',
         'Connection': 'keep-alive',
@@ -84,6 +344,8 @@ class BMWISTADownloader {
     });
 
     this.page = await this.context.newPage();
+    this.catalogCapture = null;
+    await this.diagnostics.attach(this.context, this.page);
     
     // Log console messages for debugging
     if (process.env.DEBUG === 'true') {
@@ -95,87 +357,343 @@ class BMWISTADownloader {
     }
   }
 
+  async loadSession() {
+    try {
+      await fs.access(this.sessionFile);
+      logger.debug(`Gespeicherte Sitzung gefunden: ${this.sessionFile}`);
+      return this.sessionFile;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async saveSession() {
+    try {
+      // The file holds live session cookies, it must never exist with wider permissions, not even briefly
+      const state = await this.context.storageState();
+      const tempFile = `${this.sessionFile}.tmp-${process.pid}`;
+      await fs.rm(tempFile, { force: true });
+      await fs.writeFile(tempFile, JSON.stringify(state), { mode: 0o600 });
+      await fs.rename(tempFile, this.sessionFile);
+      logger.debug(`Sitzung gespeichert: ${this.sessionFile}`);
+    } catch (error) {
+      logger.warn(`⚠️ Sitzung konnte nicht gespeichert werden: ${error.message}`);
+    }
+  }
+
+  async discardSession() {
+    this.isLoggedIn = false;
+    this.sessionRestored = false;
+    await fs.rm(this.sessionFile, { force: true });
+  }
+
+  isAuthUrl(url) {
+    const authHost = process.env.BMW_AUTH_URL ? new URL(process.env.BMW_AUTH_URL).host : 'auth.bmwgroup.com';
+    try {
+      return new URL(url).host === authHost;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async isSessionValid() {
+    try {
+      // Protected pages bounce to the login form once the session is gone
+      const [firstApplication] = Object.values(this.applications);
+      await this.page.goto(getApplicationUrl(firstApplication), {
+        waitUntil: 'networkidle',
+        timeout: 30000
+      });
+      return !this.isAuthUrl(this.page.url());
+    } catch (error) {
+      logger.debug(`Sitzungsprüfung fehlgeschlagen: ${error.message}`);
+      return false;
+    }
+  }
+
+  async relogin() {
+    // Parallel downloads may all notice the expired session at once, log in only once
+    if (!this.reloginInProgress) {
+      this.reloginInProgress = (async () => {
+        logger.warn('🔑 Sitzung abgelaufen, logge neu ein...');
+        await this.discardSession();
+        
+        const loginSuccess = await this.login();
+        if (!loginSuccess) {
+          throw new Error('Erneuter Login fehlgeschlagen');
+        }
+      })().finally(() => {
+        this.reloginInProgress = null;
+      });
+    }
+    
+    return this.reloginInProgress;
+  }
+
   async login() {
     if (this.isLoggedIn) {
       logger.info('✅ Bereits eingeloggt');
       return true;
     }
 
+    if (this.sessionRestored) {
+      if (await this.isSessionValid()) {
+        this.isLoggedIn = true;
+        logger.info('✅ Gespeicherte Sitzung ist noch gültig');
+        return true;
+      }
+      
+      logger.info('⌛ Gespeicherte Sitzung ist abgelaufen');
+      await this.discardSession();
+    }
+
+    // Every rejected attempt brings the account closer to the portal's lockout
+    const blocked = this.getLoginBlock();
+    if (blocked) {
+      logger.error(`🛑 ${blocked.message}`);
+      this.loginError = blocked;
+      return false;
+    }
+
     logger.info('🔐 Logge bei BMW ein...');
     
     try {
-      // Navigate to auth page
-      await this.page.goto(process.env.BMW_AUTH_URL, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      // Form values, the credentials post and the TOTP code would all end up in the trace
+      await this.diagnostics.withoutTrace(this.context, async () => {
+        // Navigate to auth page
+        await this.page.goto(process.env.BMW_AUTH_URL, {
+          waitUntil: 'networkidle',
+          timeout: 30000
+        });
 
-      // Wait for login form
-      await this.page.waitForSelector('input[name="j_username"], input[type="text"]', { timeout: 10000 });
+        // Wait for login form
+        await this.page.waitForSelector('input[name="j_username"], input[type="text"]', { timeout: 10000 });
       
-      // Fill credentials
-      await this.page.fill('input[name="j_username"], input[type="text"]', process.env.BMW_USERNAME);
-      await this.page.fill('input[name="j_password"], input[type="password"]', process.env.BMW_PASSWORD);
+        // Fill credentials
+        await this.page.fill('input[name="j_username"], input[type="text"]', this.profile.username);
+        await this.page.fill('input[name="j_password"], input[type="password"]', this.profile.password);
       
-      // Click login button
-      await this.page.click('button[type="submit"], input[type="submit"]');
+        // Click login button
+        await this.page.click('button[type="submit"], input[type="submit"]');
       
-      // Wait for redirect
-      try {
-        await this.page.waitForURL('**/startpage-workshop**', { timeout: 30000 });
-      } catch (error) {
-        // Fallback: wait for any aos.bmwgroup.com page
-        await this.page.waitForURL('https://aos.bmwgroup.com/**', { timeout: 30000 });
-      }
+        // Accounts with 2FA get a second form for the code from the authenticator
+        if (await this.waitForLoginStep('credentials') === 'totp') {
+          await this.submitTotp();
+          await this.waitForLoginStep('totp');
+        }
       
-      // Additional wait for page to fully load
-      await this.page.waitForLoadState('networkidle');
+        // Additional wait for page to fully load
+        await this.page.waitForLoadState('networkidle');
+      });
       
-      // Check if we're on the startpage-workshop (successful login)
-      const currentUrl = this.page.url();
-      if (currentUrl.includes('startpage-workshop') || currentUrl.includes('aos.bmwgroup.com')) {
-        this.isLoggedIn = true;
-        logger.info('✅ Login erfolgreich!');
-        return true;
-      } else {
-        throw new Error(`Login verification failed - URL: ${currentUrl}`);
-      }
+      this.isLoggedIn = true;
+      this.loginError = null;
+      logger.info('✅ Login erfolgreich!');
+      await this.recordLoginAttempt();
+      await this.saveSession();
+      return true;
       
     } catch (error) {
-      logger.error(`❌ Login fehlgeschlagen: ${error.message}`);
+      const loginError = error instanceof LoginError
+        ? error
+        : new LoginError(error.message, error.name === 'TimeoutError' ? 'timeout' : 'unknown');
+      this.loginError = loginError;
+      
+      logger.error(`❌ Login fehlgeschlagen (${loginError.code}): ${loginError.message}`);
+      await this.recordLoginAttempt(loginError);
+      await this.captureDiagnostics('login', this.profile.name, loginError);
+      
+      const nowBlocked = this.getLoginBlock();
+      if (nowBlocked) {
+        logger.error(`🛑 ${nowBlocked.message}`);
+      }
+      await this.notifier.notify('login_failed', {
+        error: nowBlocked ? `${loginError.message}. ${nowBlocked.message}` : loginError.message,
+        code: loginError.code
+      });
       return false;
     }
   }
 
-  async navigateToApplication(appType) {
-    const appName = appType === 'ista-p' ? 'ISTA-P' : 'ISTA-Next';
-    const appUrl = appType === 'ista-p' ? process.env.BMW_ISTA_P_URL : process.env.BMW_ISTA_NEXT_URL;
-    
-    logger.info(`🧭 Navigiere zu ${appName}...`);
+  isPortalUrl(url) {
+    return url.includes('startpage-workshop') || url.startsWith('https://aos.bmwgroup.com/');
+  }
+
+  // Waits until the portal, the TOTP form or a known failure page shows up after a submit
+  async waitForLoginStep(step) {
+    const deadline = Date.now() + 30000;
     
-    try {
-      // Navigate directly to the application
-      await this.page.goto(appUrl, {
-        waitUntil: 'networkidle',
-        timeout: 60000
-      });
+    while (Date.now() < deadline) {
+      if (this.isPortalUrl(this.page.url())) {
+        return 'portal';
+      }
       
-      // Wait for the page to load
-      await this.page.waitForLoadState('domcontentloaded');
-      await this.page.waitForTimeout(3000);
+      const messages = await this.page.locator(LOGIN_MESSAGE_SELECTOR).allInnerTexts().catch(() => []);
+      const text = messages.join('\n');
+      const failure = LOGIN_FAILURES.find(candidate => candidate.pattern.test(text));
+      if (failure) {
+        // On the TOTP form "ungültig" is about the code, not the password
+        if (step === 'totp' && failure.code === 'invalid_credentials') {
+          throw new LoginError('TOTP-Code wurde abgewiesen, Secret und Uhrzeit des Rechners prüfen', 'totp_rejected');
+        }
+        logger.debug(`   Login-Seite meldet: ${text.trim()}`);
+        throw new LoginError(failure.message, failure.code);
+      }
       
-      const currentUrl = this.page.url();
-      logger.info(`✅ Erfolgreich zu ${appName} navigiert: ${currentUrl}`);
+      const totpVisible = await this.page.locator(TOTP_SELECTOR).first().isVisible().catch(() => false);
+      if (totpVisible && step === 'credentials') {
+        return 'totp';
+      }
       
+      await this.page.waitForTimeout(500);
+    }
+    
+    if (step === 'totp') {
+      throw new LoginError('TOTP-Code wurde nicht angenommen', 'totp_rejected');
+    }
+    throw new LoginError(`Keine Weiterleitung zum Portal nach dem Login - URL: ${this.page.url()}`, 'timeout');
+  }
+
+  async submitTotp() {
+    if (!this.profile.totpSecret) {
+      throw new LoginError('Konto verlangt einen TOTP-Code, aber es ist kein TOTP-Secret konfiguriert', 'totp_required');
+    }
+    
+    // A code that runs out on the way to the server is rejected and counts against the account
+    const remaining = getTotpRemaining();
+    if (remaining < 5) {
+      logger.debug(`   TOTP-Code läuft in ${remaining} Sekunden ab, warte auf den nächsten`);
+      await this.page.waitForTimeout(remaining * 1000 + 500);
+    }
+    
+    logger.info('🔢 Gebe TOTP-Code ein...');
+    await this.page.fill(TOTP_SELECTOR, generateTotp(this.profile.totpSecret));
+    await this.page.click('button[type="submit"], input[type="submit"]');
+  }
+
+  // Only a short hash, enough to notice that someone fixed the credentials
+  getCredentialsFingerprint() {
+    return createHash('sha256')
+      .update([this.profile.username, this.profile.password, this.profile.totpSecret || ''].join('\n'))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  async recordLoginAttempt(error = null) {
+    const key = `login:${this.profile.name}`;
+    const credentials = this.getCredentialsFingerprint();
+    
+    // Changed credentials start with a clean slate
+    if (this.attemptLog[key]?.credentials !== credentials) {
+      this.attemptLog[key] = { operation: 'login', subject: this.profile.name, consecutiveFailures: 0, attempts: [], credentials };
+    }
+    
+    if (!error) {
+      await this.recordAttempt('login', this.profile.name, 1, 'success');
+    } else {
+      // Timeouts are worth another try next cycle, a rejection is not going to fix itself
+      const outcome = error.code === 'timeout' || error.code === 'unknown' ? 'retry' : 'give_up';
+      await this.recordAttempt('login', this.profile.name, 1, outcome, error, error.code);
+    }
+  }
+
+  getLoginBlock() {
+    const record = this.attemptLog[`login:${this.profile.name}`];
+    if (!record || record.credentials !== this.getCredentialsFingerprint()) {
+      return null;
+    }
+    
+    // Rejections since the last successful login, timeouts in between do not count
+    const rejections = [];
+    for (const attempt of record.attempts) {
+      if (attempt.outcome === 'success') {
+        break;
+      }
+      if (CREDENTIAL_FAILURES.includes(attempt.kind)) {
+        rejections.push(attempt);
+      }
+    }
+    
+    if (rejections[0]?.kind === 'account_locked') {
+      return new LoginError('Konto ist gesperrt, keine weiteren Login-Versuche bis die Zugangsdaten geändert werden', 'login_blocked');
+    }
+    if (rejections.length >= this.loginMaxFailures) {
+      return new LoginError(
+        `Login ${rejections.length}x in Folge abgewiesen, keine weiteren Versuche bis die Zugangsdaten geändert werden`,
+        'login_blocked'
+      );
+    }
+    return null;
+  }
+
+  async navigateToApplication(appType) {
+    const appName = this.applications[appType].name;
+    
+    try {
+      await this.withRetry('navigation', appType, () => this.openApplicationPage(appType));
       return true;
     } catch (error) {
       logger.error(`❌ Navigation zu ${appName} fehlgeschlagen: ${error.message}`);
+      await this.captureDiagnostics('navigation', appType, error);
       return false;
     }
   }
 
+  captureDiagnostics(operation, subject, error) {
+    return this.diagnostics.capture(this.page, { operation, subject, error, runId: this.currentRun?.id });
+  }
+
+  async openApplicationPage(appType) {
+    const appName = this.applications[appType].name;
+    const appUrl = getApplicationUrl(this.applications[appType]);
+    
+    logger.info(`🧭 Navigiere zu ${appName}...`);
+    
+    // Record the JSON the application fetches while it loads
+    this.startCatalogCapture();
+    
+    // Navigate directly to the application
+    await this.page.goto(appUrl, {
+      waitUntil: 'networkidle',
+      timeout: 60000
+    });
+    
+    // Wait for the page to load
+    await this.page.waitForLoadState('domcontentloaded');
+    await this.page.waitForTimeout(3000);
+    
+    const currentUrl = this.page.url();
+    if (this.isAuthUrl(currentUrl)) {
+      throw new SessionExpiredError(`Weiterleitung zum Login: ${currentUrl}`);
+    }
+    
+    logger.info(`✅ Erfolgreich zu ${appName} navigiert: ${currentUrl}`);
+  }
+
+  async refreshDownloadLink(download) {
+    // Links taken straight from the page carry their own signature, only the page hands out a fresh one.
+    // Parallel downloads share the browser page, so refreshes run one after the other
+    this.linkRefresh = (this.linkRefresh || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        if (!this.page) {
+          throw new Error('Kein Browser verfügbar, um den Download-Link zu erneuern');
+        }
+        
+        logger.info(`🔗 Hole neuen Download-Link für ${download.displayName}...`);
+        await this.openApplicationPage(download.appType);
+        const fresh = (await this.findDownloads(download.appType))[download.artifactKey || download.category];
+        if (!fresh) {
+          throw new HttpStatusError(`${download.displayName} nicht mehr auf dem Portal gefunden`, 404);
+        }
+        return fresh.url;
+      });
+    
+    return this.linkRefresh;
+  }
+
   async findDownloads(appType) {
-    const appName = appType === 'ista-p' ? 'ISTA-P' : 'ISTA-Next';
+    const appName = this.applications[appType].name;
     logger.info(`🔍 Suche nach Downloads auf der ${appName} Seite...`);
     
     try {
@@ -183,95 +701,14 @@ class BMWISTADownloader {
       await this.page.waitForLoadState('domcontentloaded');
       await this.page.waitForTimeout(2000);
       
-      // Wait for frames to load
-      logger.debug('Warte auf Frames...');
-      try {
-        await this.page.waitForFunction(() => {
-          const frames = document.querySelectorAll('iframe');
-          return frames.length > 0;
-        }, { timeout: 10000 });
-        logger.debug('Frames gefunden');
-      } catch (e) {
-        logger.debug('Keine Frames gefunden, suche nur in Hauptseite');
-      }
-      
-      // Execute JavaScript to find all download links (including frames)
-      const downloads = await this.page.evaluate(() => {
-        const foundDownloads = [];
-        const frameInfo = {
-          totalFrames: 0,
-          accessibleFrames: 0,
-          totalLinks: 0,
-          downloadLinks: 0
-        };
-        
-        // Function to search for downloads in a document
-        function searchForDownloads(doc, frameInfo = 'main') {
-          // Find all links that might be downloads
-          const links = doc.querySelectorAll('a[href]');
-          
-          links.forEach(link => {
-            const href = link.href;
-            const text = link.textContent.trim();
-            
-            // Skip PDF files completely
-            if (href.toLowerCase().includes('.pdf') || text.toLowerCase().includes('.pdf')) {
-              return;
-            }
-            
-            // Check if this looks like a download link
-            if (href && href.includes('/api/v2/downloads') && text) {
-              foundDownloads.push({
-                title: text,
-                url: href,
-                method: `link_search_${frameInfo}`
-              });
-            }
-          });
-          
-          // Also look for buttons that might trigger downloads
-          const buttons = doc.querySelectorAll('button, [role="button"]');
-          buttons.forEach(button => {
-            const text = button.textContent.trim();
-            const onclick = button.getAttribute('onclick');
-            
-            if (text && onclick && onclick.includes('download')) {
-              foundDownloads.push({
-                title: text,
-                url: onclick,
-                method: `button_search_${frameInfo}`
-              });
-            }
-          });
-        }
-        
-        // Search in main document
-        searchForDownloads(document, 'main');
-        
-        // Search in all frames
-        const frames = document.querySelectorAll('iframe');
-        frameInfo.totalFrames = frames.length;
-        
-        frames.forEach((frame, index) => {
-          try {
-            const frameDoc = frame.contentDocument || frame.contentWindow?.document;
-            if (frameDoc) {
-              frameInfo.accessibleFrames++;
-              searchForDownloads(frameDoc, `frame_${index}`);
-            }
-          } catch (e) {
-            // Frame might be cross-origin and inaccessible
-            // Skip this frame
-          }
-        });
-        
-        return { downloads: foundDownloads, frameInfo };
-      });
-      
-      // Log frame information
-      logger.debug(`Frame-Analyse: ${downloads.frameInfo.totalFrames} Frames gefunden, ${downloads.frameInfo.accessibleFrames} zugänglich`);
-      
-      const foundDownloads = downloads.downloads;
+      // Prefer the catalogue the SPA loaded, markup scraping is only the fallback
+      let foundDownloads = await this.collectCatalogDownloads();
+      if (foundDownloads.length > 0) {
+        logger.info(`📡 ${foundDownloads.length} Downloads aus der Portal-API übernommen`);
+      } else {
+        logger.debug('Kein Download-Katalog in den API-Antworten gefunden, durchsuche die Seite');
+        foundDownloads = await this.scrapeDownloadLinks();
+      }
       
       logger.debug(`Gefundene Downloads (roh): ${foundDownloads.length}`);
       foundDownloads.forEach((download, index) => {
@@ -294,7 +731,15 @@ class BMWISTADownloader {
       }
       
       // Categorize downloads
-      const categorizedDownloads = this.categorizeDownloads(foundDownloads, appType);
+      const unrecognised = [];
+      const matched = new Set();
+      const categorizedDownloads = this.categorizeDownloads(foundDownloads, appType, unrecognised, matched);
+      this.catalog[appType] = {
+        scrapedAt: new Date().toISOString(),
+        downloads: categorizedDownloads,
+        matched: [...matched],
+        unrecognised: unrecognised.slice(0, UNRECOGNISED_LOG_SIZE)
+      };
       
       logger.info(`✅ ${Object.keys(categorizedDownloads).length} Downloads kategorisiert`);
       
@@ -306,105 +751,327 @@ class BMWISTADownloader {
     }
   }
 
-  categorizeDownloads(downloads, appType) {
-    const categorized = {};
-    const validCategories = Object.keys(this.downloadCategories[appType] || {});
-    
-    logger.debug(`Kategorisiere Downloads für ${appType}...`);
+  startCatalogCapture() {
+    this.stopCatalogCapture();
     
-          for (const download of downloads) {
-        const title = download.title.toLowerCase();
-        const url = download.url.toLowerCase();
-        let category = null;
-        
-        logger.debug(`Prüfe Download: "${download.title}" -> ${download.url}`);
-      
-      if (appType === 'ista-p') {
-        // ISTA-P categorization
-        if (title.includes('installationsprogramm') || 
-            title.includes('installationsdatei') || 
-            url.includes('istaoss') || 
-            url.includes('bdrclient')) {
-          category = 'installer';
-        }
-        else if (title.includes('datenarchiv') || 
-                 url.includes('commondat') || 
-                 url.includes('.istapdata') ||
-                 (url.includes('ista-p') && url.includes('commondat'))) {
-          category = 'data_archive';
-        }
-      } else if (appType === 'ista-next') {
-        // ISTA-Next categorization - Order matters!
-        if (title.includes('programmierdaten') || 
-            url.includes('ISTAOSS_ProgrammingData_')) {
-          category = 'programming_data';
-        }
-        else if (title.includes('installationsdatei') || 
-                 title.includes('client') || 
-                 url.includes('istaoss') || 
-                 url.includes('client')) {
-          category = 'client';
-        }
-        else if ((title.includes('icom') && title.includes('firmware')) || 
-                 url.includes('ICOM-Next-FW') ||
-                 (url.includes('icom') && url.includes('fw'))) {
-          category = 'icom_firmware';
-        }
-        else if (title.includes('ptd') || 
-                 title.includes('treiber') || 
-                 url.includes('ptd') ||
-                 url.includes('passthru')) {
-          category = 'ptd_driver';
-        }
-      }
-      
-      if (category && validCategories.includes(category) && !categorized[category]) {
-        categorized[category] = {
-          ...download,
-          category,
-          appType,
-          displayName: this.downloadCategories[appType][category],
-          version: this.extractVersion(download.url)
-        };
-        
-        logger.debug(`✅ Kategorisiert: ${download.title} -> ${category}`);
-      } else if (!category) {
-        logger.debug(`❌ Unkategorisiert: ${download.title} (${download.url})`);
-      } else if (!validCategories.includes(category)) {
-        logger.debug(`❌ Ungültige Kategorie: ${category} für ${download.title}`);
-      } else if (categorized[category]) {
-        logger.debug(`❌ Kategorie bereits besetzt: ${category} für ${download.title}`);
+    const responses = [];
+    const listener = response => {
+      const contentType = response.headers()['content-type'] || '';
+      if (!contentType.includes('application/json') || this.isAuthUrl(response.url())) {
+        return;
       }
-    }
+      
+      responses.push(
+        response.json()
+          .then(body => ({ url: response.url(), body }))
+          .catch(() => null)
+      );
+    };
     
-    return categorized;
+    this.page.on('response', listener);
+    this.catalogCapture = { listener, responses };
   }
 
-  extractVersion(url) {
-    const patterns = [
-      /(\d+\.\d+\.\d+\.\d+)/,  // 3.74.0.930
-      /(\d+\.\d+\.\d+)/,        // 4.53.30
-      /(\d+-\d+-\d+)/,          // 04-25-10
-    ];
+  stopCatalogCapture() {
+    if (this.catalogCapture) {
+      this.page.off('response', this.catalogCapture.listener);
+    }
+    const responses = this.catalogCapture?.responses || [];
+    this.catalogCapture = null;
+    return responses;
+  }
 
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return match[1];
+  async collectCatalogDownloads() {
+    const responses = (await Promise.all(this.stopCatalogCapture())).filter(Boolean);
+    logger.debug(`${responses.length} JSON-Antworten des Portals mitgeschnitten`);
+    
+    const downloads = [];
+    const seenUrls = new Set();
+    
+    for (const response of responses) {
+      for (const entry of this.parseCatalogEntries(response.body, response.url)) {
+        if (seenUrls.has(entry.url)) {
+          continue;
+        }
+        seenUrls.add(entry.url);
+        downloads.push(entry);
       }
     }
-
-    return 'unknown';
+    
+    return downloads;
   }
 
-  extractCleanFilename(url) {
-    try {
-      // Check if this is a BMW redirect URL or direct AWS URL
-      let finalUrl = url;
-      
-      // If it's a BMW URL, we need to follow the redirect to get the actual filename
-      if (url.includes('aos.bmwgroup.com/api/v2/downloads')) {
-        // Extract the key parameter which contains the actual filename
+  parseCatalogEntries(body, responseUrl) {
+    const entries = [];
+    
+    const pickField = (item, names) => {
+      const name = names.find(candidate => item[candidate] !== undefined && item[candidate] !== null && typeof item[candidate] !== 'object');
+      return name ? item[name] : undefined;
+    };
+    
+    const visit = node => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      
+      // Any object carrying a download API link describes one artifact,
+      // the link may also sit in a nested object such as { links: { download } }
+      const isLink = value => typeof value === 'string' && value.includes('/api/v2/downloads');
+      const linkValue = Object.values(node).find(isLink) ||
+        Object.values(node)
+          .filter(value => value && typeof value === 'object' && !Array.isArray(value))
+          .flatMap(value => Object.values(value))
+          .find(isLink);
+      
+      if (linkValue) {
+        const url = new URL(linkValue, responseUrl).href;
+        const entry = { url, method: 'api_catalog' };
+        
+        for (const [field, names] of Object.entries(CATALOG_FIELDS)) {
+          const value = pickField(node, names);
+          if (value !== undefined) {
+            entry[field] = value;
+          }
+        }
+        entry.title = String(entry.title || this.extractCleanFilename(url) || url);
+        if (entry.size !== undefined) {
+          entry.size = Number(entry.size) || null;
+        }
+        
+        // Skip PDF files completely, same as the page scraper
+        if (!url.toLowerCase().includes('.pdf') && !entry.title.toLowerCase().includes('.pdf')) {
+          entries.push(entry);
+        }
+      }
+      
+      Object.values(node).forEach(value => {
+        if (value && typeof value === 'object') {
+          visit(value);
+        }
+      });
+    };
+    
+    visit(body);
+    return entries;
+  }
+
+  async scrapeDownloadLinks() {
+    // Wait for frames to load
+    logger.debug('Warte auf Frames...');
+    try {
+      await this.page.waitForFunction(() => {
+        const frames = document.querySelectorAll('iframe');
+        return frames.length > 0;
+      }, { timeout: 10000 });
+      logger.debug('Frames gefunden');
+    } catch (e) {
+      logger.debug('Keine Frames gefunden, suche nur in Hauptseite');
+    }
+    
+    // Every frame on its own, nested and cross-origin ones included, the page cannot look into those
+    const frames = this.page.frames();
+    const downloads = [];
+    let searchedFrames = 0;
+    
+    for (const [index, frame] of frames.entries()) {
+      const frameLabel = frame === this.page.mainFrame() ? 'main' : `frame_${index}`;
+      let found;
+      try {
+        found = await frame.evaluate(collectDownloadElements, frameLabel);
+      } catch (error) {
+        // Frames can be detached while the page is still loading
+        logger.debug(`Frame ${frameLabel} (${frame.url()}) nicht durchsuchbar: ${error.message}`);
+        continue;
+      }
+      searchedFrames++;
+      
+      downloads.push(...found.links);
+      const frameUrl = frame.url();
+      for (const trigger of found.triggers) {
+        const download = await this.resolveDownloadTrigger(frame, trigger, frameLabel);
+        if (download) {
+          downloads.push(download);
+        }
+        // A click that navigated took the other buttons with it
+        if (frame.isDetached?.() || frame.url() !== frameUrl) {
+          logger.warn(`⚠️ Frame ${frameLabel} hat nach Klick auf "${trigger.title}" die Seite verlassen, restliche Buttons übersprungen`);
+          break;
+        }
+      }
+    }
+    
+    logger.debug(`Frame-Analyse: ${frames.length} Frames gefunden, ${searchedFrames} durchsucht`);
+    
+    return downloads;
+  }
+
+  // Buttons that start the download from JavaScript are clicked, Playwright's download event has the real URL
+  async resolveDownloadTrigger(frame, trigger, frameLabel) {
+    const element = frame.locator(`[data-ista-trigger="${trigger.id}"]`);
+    
+    try {
+      const [download] = await Promise.all([
+        this.page.waitForEvent('download', { timeout: 15000 }),
+        element.click({ timeout: 5000 })
+      ]);
+      
+      const url = download.url();
+      const fileName = download.suggestedFilename();
+      // downloadFile fetches the file with resume and checks, the copy in the browser is not needed
+      await download.cancel();
+      
+      if (!/^https?:/.test(url)) {
+        logger.warn(`⚠️ ${trigger.title}: Download ohne abrufbare URL (${url.split(':')[0]}), übersprungen`);
+        return null;
+      }
+      
+      logger.debug(`Download per Klick: ${trigger.title} -> ${fileName}`);
+      return { title: trigger.title, url, fileName, method: `click_download_${frameLabel}` };
+    } catch (error) {
+      logger.debug(`Kein Download nach Klick auf "${trigger.title}": ${error.message}`);
+      return null;
+    }
+  }
+
+  // "matched" collects the categories a rule picked, even those whose variants the filters all dropped
+  categorizeDownloads(downloads, appType, unrecognised = [], matched = new Set()) {
+    const categorized = {};
+    const application = this.applications[appType];
+    
+    logger.debug(`Kategorisiere Downloads für ${appType}...`);
+    
+    for (const download of downloads) {
+      logger.debug(`Prüfe Download: "${download.title}" -> ${download.url}`);
+      
+      const category = application ? matchCategory(application, download) : null;
+      if (!category) {
+        logger.debug(`❌ Unkategorisiert: ${download.title} (${download.url})`);
+        unrecognised.push({ title: download.title, fileName: download.fileName || this.extractCleanFilename(download.url) });
+        continue;
+      }
+      matched.add(category.id);
+      
+      const fileName = download.fileName || this.extractCleanFilename(download.url);
+      const artifact = describeArtifact(download, fileName);
+      if (!passesFilters(category, artifact, fileName)) {
+        logger.debug(`⏭️ Ausgefiltert: ${download.title} (${fileName})`);
+        continue;
+      }
+      
+      // Categories holding several artifacts key each one by its variant, "data_archive:ista-p-commondat-part2"
+      const version = this.getDownloadVersion(download);
+      const variant = category.multiple ? getVariantKey(fileName || download.title, version, artifact) : null;
+      const artifactKey = variant ? `${category.id}:${variant}` : category.id;
+      
+      if (categorized[artifactKey]) {
+        logger.debug(`❌ Kategorie bereits besetzt: ${artifactKey} für ${download.title}`);
+        continue;
+      }
+      
+      const variantLabel = [
+        artifact.language?.toUpperCase(),
+        artifact.platform,
+        artifact.part ? `Teil ${artifact.part}` : null
+      ].filter(Boolean).join(', ') || variant;
+      
+      categorized[artifactKey] = {
+        ...download,
+        category: category.id,
+        appType,
+        displayName: variant ? `${category.displayName} (${variantLabel})` : category.displayName,
+        priority: category.priority,
+        version,
+        ...(variant ? { variant, artifactKey } : {}),
+        ...Object.fromEntries(Object.entries(artifact).filter(([, value]) => value !== null))
+      };
+      
+      logger.debug(`✅ Kategorisiert: ${download.title} -> ${artifactKey}`);
+    }
+    
+    return categorized;
+  }
+
+  getDownloadVersion(download) {
+    // A version delivered by the portal API beats guessing from the URL
+    if (download.portalVersion) {
+      const version = this.extractVersion(String(download.portalVersion));
+      if (version !== 'unknown') {
+        return version;
+      }
+    }
+    
+    // Look at the file name first so host names or IPs in the URL cannot be mistaken for a version
+    const fileName = download.fileName || this.extractCleanFilename(download.url);
+    const version = fileName ? this.extractVersion(fileName) : 'unknown';
+    
+    return version !== 'unknown' ? version : this.extractVersion(download.url);
+  }
+
+  extractVersion(url) {
+    const patterns = [
+      /(\d+\.\d+\.\d+\.\d+)/,  // 3.74.0.930
+      /(\d+\.\d+\.\d+)/,        // 4.53.30
+      /(\d+-\d+-\d+)/,          // 04-25-10
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return 'unknown';
+  }
+
+  parseVersion(version) {
+    if (!version || version === 'unknown') {
+      return null;
+    }
+
+    // Dotted ISTA versions (3- and 4-part) are one family, date-like ones another
+    if (/^\d+(\.\d+){2,3}$/.test(version)) {
+      return { format: 'dotted', parts: version.split('.').map(Number) };
+    }
+    if (/^\d+-\d+-\d+$/.test(version)) {
+      return { format: 'dashed', parts: version.split('-').map(Number) };
+    }
+
+    return null;
+  }
+
+  compareVersions(a, b) {
+    const left = this.parseVersion(a);
+    const right = this.parseVersion(b);
+
+    // Versions of different or unknown formats cannot be ordered
+    if (!left || !right || left.format !== right.format) {
+      return null;
+    }
+
+    const length = Math.max(left.parts.length, right.parts.length);
+    for (let i = 0; i < length; i++) {
+      const difference = (left.parts[i] || 0) - (right.parts[i] || 0);
+      if (difference !== 0) {
+        return difference > 0 ? 1 : -1;
+      }
+    }
+
+    return 0;
+  }
+
+  extractCleanFilename(url) {
+    try {
+      // Check if this is a BMW redirect URL or direct AWS URL
+      let finalUrl = url;
+      
+      // If it's a BMW URL, we need to follow the redirect to get the actual filename
+      if (url.includes('/api/v2/downloads')) {
+        // Extract the key parameter which contains the actual filename
         const keyMatch = url.match(/[?&]key=([^&]+)/);
         if (keyMatch) {
           const key = decodeURIComponent(keyMatch[1]);
@@ -499,233 +1166,1333 @@ class BMWISTADownloader {
     logger.info(`⬇️ Lade herunter: ${download.displayName}`);
     logger.debug(`   URL: ${download.url}`);
     
+    let reservedBytes = 0;
     try {
-      // Extract clean filename first
-      let fileName = this.extractCleanFilename(download.url);
+      // Extract clean filename first, downloads started by a click already know theirs
+      let fileName = download.fileName || this.extractCleanFilename(download.url);
       logger.debug(`   Extracted filename: ${fileName}`);
       
       if (!fileName || fileName === 'download' || fileName.length < 5) {
         const version = download.version !== 'unknown' ? `_${download.version}` : '';
         const extension = this.getFileExtension(download.url);
-        fileName = `${download.category}${version}${extension}`;
+        fileName = `${download.artifactKey ? download.artifactKey.replace(':', '_') : download.category}${version}${extension}`;
         logger.debug(`   Generated fallback filename: ${fileName}`);
       }
       
-      // Set up file path
-      const filePath = path.join(this.downloadDir, fileName);
+      // Set up file paths: <app>/<category>/<version>/<name>, data is staged in <name>.part
+      // and only renamed to <name> after verification, so a good copy is never overwritten early
+      const targetDir = this.getReleaseDir(download);
+      const filePath = path.join(targetDir, fileName);
+      const partPath = `${filePath}.part`;
+      const statePath = `${partPath}.json`;
+      
+      const state = await this.loadPartState(statePath, partPath, download.url);
+      
+      // Fail before the first byte instead of on a full disk halfway through
+      reservedBytes = await this.reserveDiskSpace(download, state);
+      await fs.mkdir(targetDir, { recursive: true });
+      
+      if (state.bytesReceived > 0) {
+        logger.info(`⏯️ Setze Download fort ab ${this.formatFileSize(state.bytesReceived)}`);
+      }
+      
+      const metadataKey = this.getMetadataKey(download);
+      const hashing = { hash: null, bytes: 0 };
       
-      // Use axios for direct download (more reliable)
-      logger.debug(`   Starte Download mit axios...`);
       try {
-        const axios = (await import('axios')).default;
-        
-        // Get cookies from the browser context
-        const cookies = await this.context.cookies();
-        const cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-        
-        logger.debug(`   Cookies extrahiert: ${cookies.length} Cookies`);
-        
-        // Download with axios
-        const response = await axios({
-          method: 'GET',
-          url: download.url,
-          responseType: 'stream',
-          headers: {
-            'Cookie': cookieHeader,
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'Accept': 'application/octet-stream,application/zip,application/x-msdownload,*/*',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          },
-          timeout: 300000 // 5 minutes
-        });
-        
-        logger.debug(`   HTTP Response erhalten: ${response.status} ${response.statusText}`);
-        
-        // Create write stream
-        const writer = createWriteStream(filePath);
-        response.data.pipe(writer);
-        
-        // Wait for download to complete
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
+        await this.withRetry('download', metadataKey, () => {
+          logger.debug(`   Übertrage ab Byte ${state.bytesReceived}`);
+          return this.transferPart(state, partPath, statePath, hashing);
+        }, {
+          onRetry: async action => {
+            if (action === 'relogin') {
+              // Fresh cookies also mean a fresh presigned link
+              state.resolvedUrl = null;
+            } else if (action === 'refresh_link' && !state.url.includes('/api/v2/downloads')) {
+              state.url = await this.refreshDownloadLink(download);
+              state.resolvedUrl = null;
+              await this.savePartState(statePath, state);
+            }
+          }
         });
-        
-        logger.debug(`   Download-Stream abgeschlossen`);
-        
-        // Verify file
-        const stats = await fs.stat(filePath);
-        if (stats.size > 0) {
-          logger.info(`✅ Download abgeschlossen: ${fileName} (${this.formatFileSize(stats.size)})`);
-          
-          // Update metadata
-          const metadataKey = `${download.appType}_${download.category}`;
-          await this.updateMetadata(metadataKey, {
-            ...download,
-            fileName,
-            filePath,
-            fileSize: stats.size,
-            downloadedAt: new Date().toISOString()
-          });
-          
-          return true;
-        } else {
-          throw new Error('Downloaded file is empty');
-        }
-        
       } catch (error) {
-        logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
-        
-        // Try to delete partial file
-        try {
-          await fs.unlink(filePath);
-        } catch (e) {
-          // Ignore deletion errors
+        if (state.bytesReceived > 0 && !(error instanceof DownloadDeferredError)) {
+          // Keep .part and sidecar so the next check cycle can resume
+          logger.info(`💾 ${this.formatFileSize(state.bytesReceived)} bleiben für die Fortsetzung gespeichert`);
         }
-        
-        return false;
+        throw error;
+      }
+      
+      // Verify file before it replaces anything
+      let stats;
+      try {
+        stats = await this.verifyPayload(partPath, fileName, state);
+      } catch (error) {
+        // A broken payload cannot be resumed, start over next time
+        await fs.rm(partPath, { force: true });
+        await fs.rm(statePath, { force: true });
+        throw error;
+      }
+      
+      if (hashing.bytes !== stats.size) {
+        hashing.hash = await this.hashFile(partPath);
       }
+      const sha256 = hashing.hash.digest('hex');
+      logger.debug(`   SHA-256: ${sha256}`);
+      
+      await this.placeFile(partPath, filePath);
+      await fs.rm(statePath, { force: true });
+      
+      logger.info(`✅ Download abgeschlossen: ${fileName} (${this.formatFileSize(stats.size)})`);
+      await this.notifier.notify('download_completed', { ...download, fileName, fileSize: stats.size, sha256 });
+      
+      // Update metadata, keeping track of every release still on disk
+      const entry = {
+        ...download,
+        fileName,
+        filePath,
+        fileSize: stats.size,
+        etag: state.etag,
+        lastModified: state.lastModified,
+        sha256,
+        downloadedAt: new Date().toISOString(),
+        verifiedAt: new Date().toISOString()
+      };
+      const previousFileName = this.metadata[metadataKey]?.fileName;
+      const history = this.getReleaseHistory(metadataKey).filter(release => release.filePath !== filePath);
+      
+      await this.updateMetadata(metadataKey, {
+        ...entry,
+        history: [this.toReleaseRecord(entry), ...history]
+      });
+      
+      // Hooks only work on the finished file, their failures never undo the download
+      await this.runPostDownloadHooks(metadataKey, previousFileName);
+      
+      return true;
       
     } catch (error) {
+      if (error instanceof DownloadDeferredError) {
+        // Keep .part and sidecar, the next download window continues from here
+        logger.info(`⏸️ Download pausiert: ${download.displayName} (${error.message})`);
+        throw error;
+      }
+      
       logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
+      if (error instanceof InsufficientDiskSpaceError) {
+        // The preflight runs before any attempt, record it so the skipped artifact shows up
+        await this.recordAttempt('download', this.getMetadataKey(download), 1, 'give_up', error, 'disk_space');
+      }
+      const failures = this.attemptLog[`download:${this.getMetadataKey(download)}`];
+      await this.notifier.notify('download_failed', {
+        ...download,
+        error: error.message,
+        errorKind: classifyError(error).kind,
+        consecutiveFailures: failures?.consecutiveFailures || 1
+      });
       return false;
+    } finally {
+      this.reservedBytes -= reservedBytes;
     }
   }
 
-  getFileExtension(url) {
-    const urlLower = url.toLowerCase();
-    if (urlLower.includes('.exe')) return '.exe';
-    if (urlLower.includes('.zip')) return '.zip';
-    if (urlLower.includes('.istapdata')) return '.istapdata';
-    return '.bin'; // Default extension
-  }
-
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
-
-  isNewVersion(appType, category, version) {
-    const metadataKey = `${appType}_${category}`;
-    const lastVersion = this.metadata[metadataKey]?.version;
+  async runPostDownloadHooks(metadataKey, previousFileName) {
+    const entry = this.metadata[metadataKey];
     
-    if (!lastVersion) {
-      return true; // No previous version, download it
+    try {
+      const hooks = getHooks(this.config, entry.appType, entry.category);
+      if (hooks.length === 0) {
+        return;
+      }
+      
+      logger.info(`⚙️ ${hooks.length} Nachbearbeitungsschritte für ${entry.displayName}...`);
+      const results = await runHooks(hooks, { ...entry, previousFileName, profile: this.profile.name });
+      
+      const failed = results.find(result => !result.ok);
+      if (failed) {
+        logger.error(`❌ Nachbearbeitung (${failed.type}) für ${entry.displayName} fehlgeschlagen: ${failed.error}`);
+        await this.notifier.notify('hook_failed', { ...entry, hook: failed.type, error: failed.error });
+      } else {
+        logger.info(`✅ Nachbearbeitung für ${entry.displayName} abgeschlossen`);
+      }
+      
+      // Only the hook results are added, the download record itself stays untouched
+      await this.updateMetadata(metadataKey, { ...this.metadata[metadataKey], hooks: results });
+    } catch (error) {
+      logger.error(`❌ Nachbearbeitung für ${entry.displayName} fehlgeschlagen: ${error.message}`);
+      await this.notifier.notify('hook_failed', { ...entry, hook: 'config', error: error.message });
     }
+  }
 
-    if (version === 'unknown') {
-      return false; // Can't compare unknown versions
+  async reserveDiskSpace(download, state) {
+    // The sidecar knows the size when resuming, otherwise the catalog or a one-byte probe
+    let totalBytes = state.totalBytes || download.size || null;
+    if (!totalBytes) {
+      totalBytes = (await this.probeDownload(state.url))?.contentLength || null;
     }
-
-    return version !== lastVersion;
+    if (!totalBytes) {
+      logger.debug('   Dateigröße unbekannt, überspringe Speicherplatzprüfung');
+      return 0;
+    }
+    // fs.statfs only exists from Node 18.15 on
+    if (!fs.statfs) {
+      logger.debug('   fs.statfs nicht verfügbar, überspringe Speicherplatzprüfung');
+      return 0;
+    }
+    
+    const remainingBytes = Math.max(0, totalBytes - state.bytesReceived);
+    const stats = await fs.statfs(this.downloadDir);
+    const availableBytes = stats.bavail * stats.bsize;
+    const requiredBytes = remainingBytes + this.diskReserveBytes + this.reservedBytes;
+    
+    logger.debug(`   Speicherplatz: ${this.formatFileSize(availableBytes)} frei, ${this.formatFileSize(requiredBytes)} benötigt`);
+    
+    if (availableBytes < requiredBytes) {
+      throw new InsufficientDiskSpaceError(
+        `Nicht genügend Speicherplatz in ${this.downloadDir}: ${this.formatFileSize(availableBytes)} frei, ` +
+        `${this.formatFileSize(requiredBytes)} benötigt (inkl. ${this.formatFileSize(this.diskReserveBytes)} Reserve)`
+      );
+    }
+    
+    this.reservedBytes += remainingBytes;
+    return remainingBytes;
   }
 
-  async checkForUpdates() {
-    logger.info('🔍 Prüfe auf Updates...');
-    
-    if (!this.isLoggedIn) {
-      const loginSuccess = await this.login();
-      if (!loginSuccess) {
-        logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
-        return;
+  async placeFile(sourcePath, targetPath) {
+    try {
+      // rename() swaps the file in one step, readers see either the old or the new copy
+      await fs.rename(sourcePath, targetPath);
+    } catch (error) {
+      // Windows refuses to rename onto an existing file, move the old copy aside first
+      const targetExists = await fs.access(targetPath).then(() => true, () => false);
+      if (!targetExists || !['EEXIST', 'EPERM', 'EACCES'].includes(error.code)) {
+        throw error;
+      }
+      
+      const backupPath = `${targetPath}.old`;
+      await fs.rename(targetPath, backupPath);
+      try {
+        await fs.rename(sourcePath, targetPath);
+      } catch (renameError) {
+        await fs.rename(backupPath, targetPath);
+        throw renameError;
       }
+      await fs.rm(backupPath, { force: true });
     }
+  }
 
-    let totalSuccessCount = 0;
-    let totalFailCount = 0;
-
-    // Check ISTA-P
-    logger.info('📥 Prüfe ISTA-P Downloads...');
-    const istaPSuccess = await this.checkApplicationUpdates('ista-p');
-    totalSuccessCount += istaPSuccess.successCount;
-    totalFailCount += istaPSuccess.failCount;
-
-    // Add delay between applications
-    logger.info('⏳ Warte 5 Sekunden vor ISTA-Next...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+  // One metadata entry per artifact, variants of a category each get their own
+  getMetadataKey(download) {
+    return `${download.appType}_${download.artifactKey || download.category}`;
+  }
 
-    // Check ISTA-Next
-    logger.info('📥 Prüfe ISTA-Next Downloads...');
-    const istaNextSuccess = await this.checkApplicationUpdates('ista-next');
-    totalSuccessCount += istaNextSuccess.successCount;
-    totalFailCount += istaNextSuccess.failCount;
+  getReleaseDir(download) {
+    // Artifacts without a parsable version are grouped by download date
+    const versionDir = download.version !== 'unknown'
+      ? download.version
+      : new Date().toISOString().slice(0, 10);
+    
+    return path.join(this.downloadDir, download.appType, download.category, versionDir);
+  }
 
-    logger.info(`📊 Gesamt-Download-Statistik: ${totalSuccessCount} erfolgreich, ${totalFailCount} fehlgeschlagen`);
+  toReleaseRecord(entry) {
+    return {
+      version: entry.version,
+      fileName: entry.fileName,
+      filePath: entry.filePath,
+      fileSize: entry.fileSize,
+      sha256: entry.sha256,
+      releaseDate: entry.releaseDate,
+      downloadedAt: entry.downloadedAt
+    };
   }
 
-  async checkApplicationUpdates(appType) {
-    const appName = appType === 'ista-p' ? 'ISTA-P' : 'ISTA-Next';
-    logger.info(`🔍 Prüfe ${appName} auf Updates...`);
+  getReleaseHistory(metadataKey) {
+    const entry = this.metadata[metadataKey];
+    if (!entry) {
+      return [];
+    }
     
-    // Navigate to application
-    const navigationSuccess = await this.navigateToApplication(appType);
-    if (!navigationSuccess) {
-      logger.error(`❌ Navigation zu ${appName} fehlgeschlagen, überspringe Update-Check`);
-      return { successCount: 0, failCount: 0 };
+    // Entries written before the history existed only describe a single file
+    if (!Array.isArray(entry.history)) {
+      return entry.filePath ? [this.toReleaseRecord(entry)] : [];
     }
+    
+    return entry.history;
+  }
 
-    // Find downloads
-    const downloads = await this.findDownloads(appType);
+  async getRequestHeaders() {
+    // Reuse the browser session for plain HTTP requests
+    const cookies = await this.context.cookies();
+    const cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
     
-    // Check which downloads are new
-    const updates = [];
-    for (const [category, download] of Object.entries(downloads)) {
-      if (this.isNewVersion(appType, category, download.version)) {
-        updates.push(download);
-        logger.info(`🆕 Neue Version gefunden: ${download.displayName} (${download.version})`);
-      } else {
-        logger.info(`✅ Aktuelle Version bereits vorhanden: ${download.displayName} (${download.version})`);
-      }
-    }
+    logger.debug(`   Cookies extrahiert: ${cookies.length} Cookies`);
+    
+    return {
+      'Cookie': cookieHeader,
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/octet-stream,application/zip,application/x-msdownload,*/*',
+      // Byte ranges must refer to the raw file, so never ask for compressed transfer
+      'Accept-Encoding': 'identity',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    };
+  }
 
-    // Initialize counters
-    let successCount = 0;
-    let failCount = 0;
+  isPresignedUrl(url) {
+    return /[?&]X-Amz-(Signature|Expires|Credential)=/i.test(url || '');
+  }
 
-    // Download updates
-    if (updates.length > 0) {
-      logger.info(`📥 ${updates.length} Updates für ${appName} werden heruntergeladen...`);
-      
-      for (let i = 0; i < updates.length; i++) {
-        const update = updates[i];
-        logger.info(`📥 Download ${i + 1}/${updates.length}: ${update.displayName}`);
-        
-        try {
-          const success = await this.downloadFile(update);
-          if (success) {
-            successCount++;
-          } else {
-            failCount++;
-          }
-          
-          // Add delay between downloads
-          if (i < updates.length - 1) {
-            logger.info('⏳ Warte 3 Sekunden vor dem nächsten Download...');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          }
-          
-        } catch (error) {
-          logger.error(`❌ Fehler beim Download von ${update.displayName}: ${error.message}`);
-          failCount++;
+  // Presigned links get a new signature with every scrape, the object behind them stays the same
+  getStableUrl(url) {
+    try {
+      const parsed = new URL(url);
+      for (const name of [...parsed.searchParams.keys()]) {
+        if (/^x-amz-|^(signature|signed|expires|policy|key-pair-id)$/i.test(name)) {
+          parsed.searchParams.delete(name);
         }
       }
-      
-      logger.info(`📊 ${appName} Download-Statistik: ${successCount} erfolgreich, ${failCount} fehlgeschlagen`);
-      
-    } else {
-      logger.info(`✅ Keine Updates für ${appName} verfügbar`);
+      return parsed.href;
+    } catch (error) {
+      return url;
     }
-
-    return { successCount, failCount };
   }
 
-  async loadMetadata() {
-    try {
+  async resolveDownloadUrl(url) {
+    // Only the AOS download API hands out presigned links, everything else is fetched as-is
+    if (!url.includes('/api/v2/downloads')) {
+      return url;
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url,
+      responseType: 'stream',
+      maxRedirects: 0,
+      headers: await this.getRequestHeaders(),
+      timeout: 60000,
+      validateStatus: status => status < 400 || status === 401 || status === 403
+    });
+    response.data.destroy();
+
+    if (response.status === 401 || response.status === 403) {
+      throw new SessionExpiredError(`Download-API verweigert Zugriff (HTTP ${response.status})`);
+    }
+
+    if (response.status >= 300 && response.headers.location) {
+      const resolvedUrl = new URL(response.headers.location, url).href;
+      if (this.isAuthUrl(resolvedUrl)) {
+        throw new SessionExpiredError(`Download-API leitet zum Login um: ${resolvedUrl}`);
+      }
+      
+      logger.debug(`   Signierter Link aufgelöst: ${resolvedUrl}`);
+      return resolvedUrl;
+    }
+
+    return url;
+  }
+
+  async loadPartState(statePath, partPath, url) {
+    const freshState = {
+      url,
+      resolvedUrl: null,
+      etag: null,
+      lastModified: null,
+      bytesReceived: 0,
+      totalBytes: null
+    };
+
+    try {
+      const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+      
+      // ETag and If-Range catch a changed file, the URL only has to point at the same object
+      if (this.getStableUrl(state.url) !== this.getStableUrl(url)) {
+        logger.debug('   Teildownload gehört zu einer anderen URL, verwerfe ihn');
+        await fs.rm(partPath, { force: true });
+        return freshState;
+      }
+      
+      // The file on disk is the source of truth for the resume offset, the old signature has expired
+      const stats = await fs.stat(partPath).catch(() => null);
+      state.bytesReceived = stats ? stats.size : 0;
+      return { ...freshState, ...state, url, resolvedUrl: null };
+    } catch (error) {
+      // Without a sidecar we cannot tell what the .part file contains
+      await fs.rm(partPath, { force: true });
+      return freshState;
+    }
+  }
+
+  async savePartState(statePath, state) {
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+  }
+
+  async transferPart(state, partPath, statePath, hashing) {
+    if (!state.resolvedUrl) {
+      state.resolvedUrl = await this.resolveDownloadUrl(state.url);
+    }
+
+    const headers = await this.getRequestHeaders();
+    if (state.bytesReceived > 0) {
+      headers['Range'] = `bytes=${state.bytesReceived}-`;
+      
+      // Only accept a partial response if the file has not changed in the meantime
+      const validator = state.etag || state.lastModified;
+      if (validator) {
+        headers['If-Range'] = validator;
+      }
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url: state.resolvedUrl,
+      responseType: 'stream',
+      headers,
+      timeout: 300000, // 5 minutes without data
+      validateStatus: () => true
+    });
+    
+    logger.debug(`   HTTP Response erhalten: ${response.status} ${response.statusText}`);
+
+    if (response.status === 416 && state.totalBytes && state.bytesReceived >= state.totalBytes) {
+      response.data.destroy();
+      return true;
+    }
+
+    if ((response.status === 400 || response.status === 403) &&
+        (state.resolvedUrl !== state.url || this.isPresignedUrl(state.resolvedUrl))) {
+      // Presigned S3 links expire, the next attempt fetches a fresh one
+      response.data.destroy();
+      state.resolvedUrl = null;
+      await this.savePartState(statePath, state);
+      throw new LinkExpiredError(`Signierter Download-Link abgelaufen (HTTP ${response.status})`);
+    }
+
+    if ((response.status === 401 || response.status === 403) && state.resolvedUrl === state.url) {
+      response.data.destroy();
+      throw new SessionExpiredError(`Download verweigert (HTTP ${response.status})`);
+    }
+
+    if (response.status >= 400) {
+      response.data.destroy();
+      throw new HttpStatusError(`HTTP ${response.status} ${response.statusText}`, response.status);
+    }
+
+    // Error and login pages come back as 200 with a document instead of the file
+    const contentType = response.headers['content-type'] || '';
+    if (/text\/html|application\/json/i.test(contentType)) {
+      response.data.destroy();
+      const finalUrl = response.request?.res?.responseUrl || state.resolvedUrl;
+      if (this.isAuthUrl(finalUrl)) {
+        throw new SessionExpiredError(`Download leitet zum Login um: ${finalUrl}`);
+      }
+      throw new Error(`Unerwarteter Inhaltstyp: ${contentType}`);
+    }
+
+    const append = response.status === 206;
+    if (append) {
+      const rangeMatch = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+      if (rangeMatch) {
+        state.totalBytes = parseInt(rangeMatch[1]);
+      }
+    } else {
+      if (state.bytesReceived > 0) {
+        logger.info('🔁 Server liefert die Datei vollständig neu, starte von vorne');
+      }
+      const contentLength = parseInt(response.headers['content-length']);
+      state.bytesReceived = 0;
+      state.totalBytes = Number.isNaN(contentLength) ? null : contentLength;
+      state.etag = response.headers['etag'] || null;
+      state.lastModified = response.headers['last-modified'] || null;
+    }
+    await this.savePartState(statePath, state);
+
+    if (!append) {
+      hashing.hash = createHash('sha256');
+      hashing.bytes = 0;
+    } else if (!hashing.hash || hashing.bytes !== state.bytesReceived) {
+      // Resuming a .part from an earlier run: hash what is already on disk first
+      hashing.hash = await this.hashFile(partPath);
+      hashing.bytes = state.bytesReceived;
+    }
+
+    const downloader = this;
+    const hashStream = new Transform({
+      transform(chunk, encoding, callback) {
+        if (!downloader.canDownloadNow()) {
+          callback(new DownloadDeferredError('Download-Fenster geschlossen'));
+          return;
+        }
+        hashing.hash.update(chunk);
+        hashing.bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const writer = createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+    const streams = this.bandwidthLimiter.enabled
+      ? [response.data, this.bandwidthLimiter.createStream(), hashStream, writer]
+      : [response.data, hashStream, writer];
+    try {
+      await pipeline(...streams);
+      logger.debug(`   Download-Stream abgeschlossen`);
+    } finally {
+      const stats = await fs.stat(partPath).catch(() => null);
+      state.bytesReceived = stats ? stats.size : 0;
+      await this.savePartState(statePath, state);
+    }
+
+    if (state.totalBytes !== null && state.bytesReceived < state.totalBytes) {
+      throw new Error(`Verbindung vorzeitig beendet (${state.bytesReceived}/${state.totalBytes} Bytes)`);
+    }
+
+    return true;
+  }
+
+  async verifyPayload(partPath, fileName, state) {
+    const stats = await fs.stat(partPath);
+    
+    if (stats.size === 0) {
+      throw new Error('Downloaded file is empty');
+    }
+    
+    if (state.totalBytes !== null && stats.size !== state.totalBytes) {
+      throw new Error(`Dateigröße ${stats.size} weicht von Content-Length ${state.totalBytes} ab`);
+    }
+    
+    // Sniff the first bytes to catch error pages that slipped through
+    const handle = await fs.open(partPath, 'r');
+    const head = Buffer.alloc(512);
+    let bytesRead;
+    try {
+      ({ bytesRead } = await handle.read(head, 0, head.length, 0));
+    } finally {
+      await handle.close();
+    }
+    
+    const payloadType = this.detectPayloadType(head.subarray(0, bytesRead));
+    const expectedType = this.getExpectedPayloadType(fileName);
+    logger.debug(`   Inhalt erkannt als ${payloadType}, erwartet ${expectedType || 'binär'}`);
+    
+    if (payloadType === 'html' || payloadType === 'json') {
+      throw new Error(`Download enthält ${payloadType.toUpperCase()} statt ${path.extname(fileName) || 'Binärdaten'}`);
+    }
+    
+    if (expectedType && payloadType !== expectedType) {
+      throw new Error(`Download ist kein gültiges ${expectedType.toUpperCase()} (erkannt: ${payloadType})`);
+    }
+    
+    return stats;
+  }
+
+  detectPayloadType(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0x4d && buffer[1] === 0x5a) return 'exe';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return 'zip';
+    
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<?xml')) return 'html';
+    if (text.startsWith('{') || text.startsWith('[')) return 'json';
+    
+    return 'binary';
+  }
+
+  getExpectedPayloadType(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === '.exe') return 'exe';
+    if (extension === '.zip') return 'zip';
+    return null;
+  }
+
+  async hashFile(filePath) {
+    const hash = createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash;
+  }
+
+  async verifyDownloads() {
+    const entries = Object.entries(this.metadata).filter(([, entry]) => entry?.filePath);
+    logger.info(`🔎 Prüfe Integrität von ${entries.length} Downloads...`);
+    
+    let corruptedCount = 0;
+    
+    for (const [key, entry] of entries) {
+      let actualHash = null;
+      try {
+        actualHash = (await this.hashFile(entry.filePath)).digest('hex');
+      } catch (error) {
+        logger.debug(`Datei nicht lesbar: ${entry.filePath} (${error.message})`);
+      }
+      
+      if (actualHash && !entry.sha256) {
+        // Downloaded before checksums were tracked, adopt the current state
+        logger.info(`📝 Prüfsumme nachgetragen: ${entry.fileName}`);
+        await this.updateMetadata(key, { ...entry, sha256: actualHash, verifiedAt: new Date().toISOString() });
+        continue;
+      }
+      
+      if (actualHash && actualHash === entry.sha256) {
+        logger.debug(`✅ Integrität OK: ${entry.fileName}`);
+        await this.updateMetadata(key, { ...entry, integrity: undefined, verifiedAt: new Date().toISOString() });
+        continue;
+      }
+      
+      corruptedCount++;
+      const reason = actualHash ? 'Prüfsumme stimmt nicht überein' : 'Datei fehlt';
+      logger.warn(`⚠️ Beschädigter Download: ${entry.fileName} (${reason})`);
+      await this.updateMetadata(key, { ...entry, integrity: 'corrupted', integrityError: reason });
+    }
+    
+    if (corruptedCount > 0) {
+      const action = process.env.VERIFY_REDOWNLOAD === 'false'
+        ? 'nur markiert'
+        : 'werden beim nächsten Check neu geladen';
+      logger.warn(`⚠️ ${corruptedCount} beschädigte Downloads gefunden (${action})`);
+    } else {
+      logger.info('✅ Alle Downloads sind intakt');
+    }
+    
+    return corruptedCount;
+  }
+
+  getFileExtension(url) {
+    const urlLower = url.toLowerCase();
+    if (urlLower.includes('.exe')) return '.exe';
+    if (urlLower.includes('.zip')) return '.zip';
+    if (urlLower.includes('.istapdata')) return '.istapdata';
+    return '.bin'; // Default extension
+  }
+
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  async isNewVersion(appType, category, version, download = null) {
+    const metadataKey = `${appType}_${category}`;
+    const previous = this.metadata[metadataKey];
+    const lastVersion = previous?.version;
+    
+    if (!lastVersion) {
+      return true; // No previous version, download it
+    }
+
+    if (previous.integrity === 'corrupted' && process.env.VERIFY_REDOWNLOAD !== 'false') {
+      return true; // Local copy failed verification, fetch it again
+    }
+
+    const comparison = this.compareVersions(version, lastVersion);
+    
+    if (comparison === 1) {
+      return true;
+    }
+    
+    if (comparison === -1) {
+      // The portal went back to an older release
+      if (process.env.FOLLOW_ROLLBACKS === 'true') {
+        logger.warn(`↩️ Portal bietet ältere Version an: ${version} (lokal ${lastVersion}), folge dem Rollback`);
+        return true;
+      }
+      logger.warn(`↩️ Portal bietet ältere Version an: ${version} (lokal ${lastVersion}), wird ignoriert`);
+      return false;
+    }
+    
+    if (comparison === 0) {
+      return false;
+    }
+
+    // No comparable version, look at the artifact itself
+    if (!download) {
+      return false;
+    }
+    
+    return this.hasArtifactChanged(previous, download);
+  }
+
+  async hasArtifactChanged(previous, download) {
+    logger.debug(`Keine vergleichbare Version für ${download.displayName}, prüfe Datei-Merkmale...`);
+    
+    const fileName = download.fileName || this.extractCleanFilename(download.url);
+    if (fileName && previous.fileName && fileName !== previous.fileName) {
+      logger.debug(`   Dateiname geändert: ${previous.fileName} -> ${fileName}`);
+      return true;
+    }
+    
+    const remote = await this.probeDownload(download.url);
+    if (!remote) {
+      logger.warn(`⚠️ Änderung von ${download.displayName} nicht prüfbar, behalte lokale Datei`);
+      return false;
+    }
+    
+    if (remote.etag && previous.etag) {
+      logger.debug(`   ETag: ${previous.etag} -> ${remote.etag}`);
+      return remote.etag !== previous.etag;
+    }
+    
+    if (remote.lastModified && previous.lastModified) {
+      logger.debug(`   Last-Modified: ${previous.lastModified} -> ${remote.lastModified}`);
+      return remote.lastModified !== previous.lastModified;
+    }
+    
+    if (remote.contentLength !== null && previous.fileSize) {
+      logger.debug(`   Größe: ${previous.fileSize} -> ${remote.contentLength}`);
+      return remote.contentLength !== previous.fileSize;
+    }
+    
+    return false;
+  }
+
+  async probeDownload(url) {
+    try {
+      const resolvedUrl = await this.resolveDownloadUrl(url);
+      
+      // Presigned links are only valid for GET, so fetch a single byte instead of HEAD
+      const response = await axios({
+        method: 'GET',
+        url: resolvedUrl,
+        responseType: 'stream',
+        headers: { ...(await this.getRequestHeaders()), 'Range': 'bytes=0-0' },
+        timeout: 60000,
+        validateStatus: status => status < 400
+      });
+      response.data.destroy();
+      
+      const rangeMatch = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+      const contentLength = rangeMatch
+        ? parseInt(rangeMatch[1])
+        : parseInt(response.headers['content-length']);
+      
+      return {
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null,
+        contentLength: Number.isNaN(contentLength) ? null : contentLength
+      };
+    } catch (error) {
+      logger.debug(`Fehler beim Prüfen von ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async checkForUpdates(appTypes = Object.keys(this.applications)) {
+    const startedAt = new Date();
+    const run = {
+      id: createRunId(startedAt),
+      profile: this.profile.name,
+      startedAt: startedAt.toISOString(),
+      dryRun: this.dryRun,
+      applications: {},
+      downloads: [],
+      failedAttempts: []
+    };
+    
+    this.currentRun = run;
+    await this.diagnostics.startTrace(this.context);
+    try {
+      const result = await this.checkApplications(appTypes, run);
+      Object.assign(run, result);
+      return result;
+    } catch (error) {
+      run.error = error.message;
+      throw error;
+    } finally {
+      await this.diagnostics.stopTrace(this.context, run.id);
+      this.currentRun = null;
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = Date.now() - startedAt.getTime();
+      await this.recordRun(run);
+    }
+  }
+
+  async checkApplications(appTypes, run) {
+    logger.info('🔍 Prüfe auf Updates...');
+    
+    if (!this.isLoggedIn) {
+      const loginSuccess = await this.login();
+      if (!loginSuccess) {
+        logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
+        await this.notifier.flush();
+        return { successCount: 0, failCount: 0, deferredCount: 0, errors: [`login:${this.loginError?.code || 'unknown'}`] };
+      }
+    }
+
+    let totalSuccessCount = 0;
+    let totalFailCount = 0;
+    let totalDeferredCount = 0;
+    const errors = [];
+
+    // The browser reads one portal page after the other, downloads only start once all are known
+    const found = [];
+    for (const appType of appTypes) {
+      logger.info(`📥 Prüfe ${this.applications[appType].name} Downloads...`);
+      const appStartedAt = Date.now();
+      const appUpdates = await this.findApplicationUpdates(appType);
+      if (appUpdates) {
+        found.push(appUpdates);
+      } else {
+        errors.push(`navigation:${appType}`);
+      }
+      
+      run.applications[appType] = {
+        navigation: appUpdates ? 'ok' : 'failed',
+        durationMs: Date.now() - appStartedAt,
+        scraped: Object.values(appUpdates?.downloads || {}).map(download => ({
+          category: download.category,
+          ...(download.variant ? { variant: download.variant } : {}),
+          version: download.version,
+          fileName: download.fileName || this.extractCleanFilename(download.url),
+          size: download.size ?? null,
+          releaseDate: download.releaseDate || null
+        })),
+        decisions: appUpdates?.decisions || [],
+        ...(appUpdates ? {
+          drift: {
+            status: appUpdates.health.status,
+            missing: appUpdates.health.missing,
+            unrecognised: appUpdates.health.unrecognised.length
+          }
+        } : {})
+      };
+      
+      if (appUpdates?.health.status === 'drift') {
+        errors.push(`drift:${appType}`);
+      }
+    }
+
+    // Smaller files go first within the same priority, so a huge archive does not hold up the rest
+    const queue = new DownloadQueue({ concurrency: this.downloadConcurrency });
+    const jobs = found
+      .flatMap(({ updates }) => updates)
+      .sort((a, b) => (a.size ?? Number.MAX_SAFE_INTEGER) - (b.size ?? Number.MAX_SAFE_INTEGER))
+      .map(update => ({
+        update,
+        outcome: queue.add(() => this.recordDownloadJob(update, run), update.priority)
+      }));
+
+    if (jobs.length > 0) {
+      logger.info(`📥 ${jobs.length} Downloads in der Warteschlange (${this.downloadConcurrency} parallel)`);
+    }
+
+    for (const appUpdates of found) {
+      const appJobs = jobs.filter(job => job.update.appType === appUpdates.appType);
+      const appResult = await this.finishApplicationUpdates(appUpdates, appJobs);
+      totalSuccessCount += appResult.successCount;
+      totalFailCount += appResult.failCount;
+      totalDeferredCount += appResult.deferredCount;
+      // A dry run downloaded nothing, the next real run still has to catch up
+      if (!this.dryRun) {
+        await this.recordCheck(appUpdates.appType);
+      }
+    }
+
+    logger.info(`📊 Gesamt-Download-Statistik: ${totalSuccessCount} erfolgreich, ${totalFailCount} fehlgeschlagen, ${totalDeferredCount} verschoben`);
+
+    if (!this.dryRun) {
+      await this.publishManifest();
+    }
+
+    // Keep refreshed cookies for the next start
+    if (this.isLoggedIn) {
+      await this.saveSession();
+    }
+
+    // Digest mode sends everything collected during this cycle at once
+    await this.notifier.flush();
+
+    return { successCount: totalSuccessCount, failCount: totalFailCount, deferredCount: totalDeferredCount, errors };
+  }
+
+  async findApplicationUpdates(appType) {
+    const appName = this.applications[appType].name;
+    logger.info(`🔍 Prüfe ${appName} auf Updates...`);
+    
+    // Navigate to application
+    const navigationSuccess = await this.navigateToApplication(appType);
+    if (!navigationSuccess) {
+      logger.error(`❌ Navigation zu ${appName} fehlgeschlagen, überspringe Update-Check`);
+      return null;
+    }
+
+    // An empty result is usually a page that was still loading, load it again before giving up
+    const scrapeStartedAt = new Date();
+    let downloads;
+    try {
+      downloads = await this.withRetry('scrape', appType, async attempt => {
+        if (attempt > 1) {
+          await this.openApplicationPage(appType);
+        }
+        const found = await this.findDownloads(appType);
+        if (Object.keys(found).length === 0) {
+          throw new Error('Keine Downloads auf der Seite gefunden');
+        }
+        return found;
+      });
+    } catch (error) {
+      logger.warn(`⚠️ ${error.message}`);
+      await this.captureDiagnostics('scrape', appType, error);
+      downloads = {};
+    }
+    
+    if (Object.keys(downloads).length === 0) {
+      await this.notifier.notify('no_downloads', { appType, appName });
+    }
+    
+    // Links of the failed attempt are not worth reporting, only those of this scrape
+    const catalog = this.catalog[appType];
+    const fresh = catalog && new Date(catalog.scrapedAt) >= scrapeStartedAt;
+    const health = await this.recordScrapeHealth(appType, downloads, fresh ? catalog.unrecognised : [], fresh ? catalog.matched : []);
+    
+    // Check which downloads are new
+    const updates = [];
+    const decisions = [];
+    const heldKeys = new Set();
+    for (const [artifactKey, download] of Object.entries(downloads)) {
+      const policy = getSyncPolicy(this.config, appType, download.category);
+      const localVersion = this.metadata[`${appType}_${artifactKey}`]?.version || null;
+      const decision = {
+        category: download.category,
+        ...(download.variant ? { variant: download.variant } : {}),
+        version: download.version,
+        localVersion,
+        ...(policy.pin ? { pin: policy.pin } : {})
+      };
+      
+      if (!policy.enabled) {
+        logger.debug(`⏭️ ${download.displayName}: per Sync-Richtlinie deaktiviert`);
+        decisions.push({ ...decision, download: false, held: 'disabled' });
+        continue;
+      }
+      
+      const { isNew, held } = await this.applySyncPolicy(download, policy, localVersion);
+      decisions.push({ ...decision, download: isNew, ...(held ? { held } : {}) });
+      
+      if (held) {
+        heldKeys.add(this.getMetadataKey(download));
+        await this.reportHeldVersion(download, held, policy, localVersion);
+      } else if (isNew) {
+        updates.push(download);
+        logger.info(`🆕 Neue Version gefunden: ${download.displayName} (${download.version})`);
+        await this.notifier.notify('new_version', {
+          ...download,
+          previousVersion: localVersion
+        });
+      } else {
+        logger.info(`✅ Aktuelle Version bereits vorhanden: ${download.displayName} (${download.version})`);
+      }
+    }
+
+    // A failed scrape says nothing about what is still held
+    if (Object.keys(downloads).length > 0) {
+      await this.releaseHeldVersions(appType, heldKeys);
+    }
+    
+    if (updates.length > 0 && this.dryRun) {
+      logger.info(`🧪 Dry-Run: ${updates.length} Updates für ${appName} würden heruntergeladen`);
+      return { appType, downloads, decisions, health, updates: [] };
+    }
+
+    return { appType, downloads, decisions, health, updates };
+  }
+
+  // Pinned categories only ever fetch their pinned version, newer ones are reported and held back
+  async applySyncPolicy(download, policy, localVersion) {
+    if (policy.pin && download.version !== policy.pin) {
+      const newer = this.compareVersions(download.version, policy.pin) !== -1;
+      logger.info(`📌 ${download.displayName} bleibt auf ${policy.pin} festgelegt (Portal: ${download.version})`);
+      return { isNew: false, held: newer ? 'pinned' : null };
+    }
+    
+    // The pinned version is wanted even when a newer one is on disk already
+    const isNew = policy.pin && localVersion !== policy.pin
+      ? true
+      : await this.isNewVersion(download.appType, download.artifactKey || download.category, download.version, download);
+    if (!isNew) {
+      return { isNew, held: null };
+    }
+    
+    // Only probe the size when a limit asks for it and the catalog did not say
+    let size = download.size ?? null;
+    if (policy.maxSizeMB && !size) {
+      size = (await this.probeDownload(download.url))?.contentLength || null;
+    }
+    const held = getHoldReason(policy, size);
+    if (held) {
+      download.size = size;
+    }
+    return { isNew: !held, held };
+  }
+
+  async loadHeldVersions() {
+    try {
+      const data = await fs.readFile(path.join(this.downloadDir, 'held-versions.json'), 'utf-8');
+      this.heldVersions = JSON.parse(data);
+    } catch (error) {
+      this.heldVersions = {};
+    }
+  }
+
+  async saveHeldVersions() {
+    if (this.dryRun) {
+      return;
+    }
+    await fs.writeFile(path.join(this.downloadDir, 'held-versions.json'), JSON.stringify(this.heldVersions, null, 2));
+  }
+
+  // Each held version is announced once, not on every check
+  async reportHeldVersion(download, reason, policy, localVersion) {
+    const metadataKey = this.getMetadataKey(download);
+    const previous = this.heldVersions[metadataKey];
+    if (previous?.version === download.version && previous.reason === reason) {
+      logger.info(`⏸️ ${download.displayName} ${download.version} weiterhin zurückgehalten (${reason})`);
+      return;
+    }
+    
+    this.heldVersions[metadataKey] = {
+      appType: download.appType,
+      category: download.category,
+      ...(download.variant ? { variant: download.variant } : {}),
+      displayName: download.displayName,
+      version: download.version,
+      localVersion,
+      reason,
+      ...(policy.pin ? { pin: policy.pin } : {}),
+      ...(reason === 'too_large' ? { size: download.size, maxSizeMB: policy.maxSizeMB } : {}),
+      heldSince: new Date().toISOString()
+    };
+    await this.saveHeldVersions();
+    
+    logger.info(`⏸️ ${download.displayName} ${download.version} wird nicht heruntergeladen (${reason})`);
+    await this.notifier.notify('new_version', { ...this.heldVersions[metadataKey], previousVersion: localVersion, held: reason });
+  }
+
+  // Versions the policy no longer holds back, because they were fetched, released or left the portal
+  async releaseHeldVersions(appType, heldKeys) {
+    const released = Object.entries(this.heldVersions)
+      .filter(([metadataKey, held]) => held.appType === appType && !heldKeys.has(metadataKey));
+    for (const [metadataKey] of released) {
+      delete this.heldVersions[metadataKey];
+    }
+    if (released.length > 0) {
+      await this.saveHeldVersions();
+    }
+  }
+
+  async runDownloadJob(update) {
+    // Jobs still waiting when the download window closes stay for the next window
+    if (!this.canDownloadNow()) {
+      logger.info(`🌙 Außerhalb des Download-Fensters, verschiebe ${update.displayName}`);
+      return 'deferred';
+    }
+    
+    logger.info(`📥 Starte Download: ${update.displayName} (Priorität ${update.priority})`);
+    
+    try {
+      return (await this.downloadFile(update)) ? 'success' : 'failed';
+    } catch (error) {
+      if (error instanceof DownloadDeferredError) {
+        return 'deferred';
+      }
+      logger.error(`❌ Fehler beim Download von ${update.displayName}: ${error.message}`);
+      return 'failed';
+    }
+  }
+
+  async recordDownloadJob(update, run) {
+    const startedAt = new Date();
+    const outcome = await this.runDownloadJob(update);
+    const metadataKey = this.getMetadataKey(update);
+    const lastFailure = run.failedAttempts
+      .filter(attempt => attempt.operation === 'download' && attempt.subject === metadataKey)
+      .pop();
+    
+    run.downloads.push({
+      appType: update.appType,
+      category: update.category,
+      ...(update.variant ? { variant: update.variant } : {}),
+      version: update.version,
+      outcome,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      bytes: outcome === 'success' ? this.metadata[metadataKey]?.fileSize ?? null : null,
+      ...(outcome === 'failed' ? { error: lastFailure?.error || null } : {})
+    });
+    return outcome;
+  }
+
+  async finishApplicationUpdates({ appType, downloads, updates }, jobs) {
+    const appName = this.applications[appType].name;
+    const outcomes = await Promise.all(jobs.map(job => job.outcome));
+    
+    const successCount = outcomes.filter(outcome => outcome === 'success').length;
+    const failCount = outcomes.filter(outcome => outcome === 'failed').length;
+    const deferredCount = outcomes.filter(outcome => outcome === 'deferred').length;
+
+    if (updates.length > 0) {
+      logger.info(`📊 ${appName} Download-Statistik: ${successCount} erfolgreich, ${failCount} fehlgeschlagen, ${deferredCount} verschoben`);
+    } else if (!this.dryRun) {
+      logger.info(`✅ Keine Updates für ${appName} verfügbar`);
+    }
+
+    // Remember deferred work so the start of the next download window picks it up
+    if (deferredCount > 0) {
+      this.deferredApps.add(appType);
+    } else {
+      this.deferredApps.delete(appType);
+    }
+
+    // Only prune when the check went through, otherwise we might lose the last good copy
+    if (failCount === 0 && !this.dryRun) {
+      await this.pruneReleases(appType, downloads);
+    }
+
+    return { successCount, failCount, deferredCount };
+  }
+
+  async publishManifest() {
+    // Workshop clients read these instead of looking into the folder
+    const options = {
+      downloadDir: this.downloadDir,
+      baseUrl: process.env.PUBLIC_BASE_URL || null,
+      profile: this.profile.name !== DEFAULT_PROFILE ? this.profile.name : null
+    };
+    
+    try {
+      const files = {
+        'manifest.json': JSON.stringify(buildManifest(this.metadata, options), null, 2),
+        'feed.atom': buildAtomFeed(this.metadata, options)
+      };
+      for (const [name, content] of Object.entries(files)) {
+        const targetPath = path.join(this.downloadDir, name);
+        await fs.writeFile(`${targetPath}.tmp`, content);
+        await this.placeFile(`${targetPath}.tmp`, targetPath);
+      }
+      logger.info('📰 Manifest und Feed aktualisiert');
+    } catch (error) {
+      logger.error(`❌ Fehler beim Schreiben von Manifest und Feed: ${error.message}`);
+    }
+  }
+
+  canDownloadNow() {
+    if (!this.enforceDownloadWindow || this.downloadWindows.length === 0) {
+      return true;
+    }
+    
+    // Called for every received chunk, so only re-evaluate every 30 seconds
+    const now = Date.now();
+    if (!this.windowCheck || now - this.windowCheck.at > 30000) {
+      this.windowCheck = { at: now, open: isInWindows(this.downloadWindows, new Date(now), this.schedule.timezone) };
+    }
+    
+    return this.windowCheck.open;
+  }
+
+  async pruneReleases(appType, publishedDownloads) {
+    const keepVersions = parseInt(process.env.RETENTION_KEEP_VERSIONS) || 0;
+    const keepDays = parseInt(process.env.RETENTION_KEEP_DAYS) || 0;
+    
+    if (!keepVersions && !keepDays) {
+      return; // No retention policy configured
+    }
+    
+    const cutoff = Date.now() - keepDays * 24 * 60 * 60 * 1000;
+    
+    // Every artifact of a list category has its own entry and history
+    const entries = Object.entries(this.metadata).filter(([, entry]) => entry.appType === appType && entry.category);
+    for (const [metadataKey, entry] of entries) {
+      const publishedVersion = publishedDownloads[entry.artifactKey || entry.category]?.version;
+      const { pin } = getSyncPolicy(this.config, appType, entry.category);
+      const history = [...this.getReleaseHistory(metadataKey)]
+        .sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt));
+      
+      const kept = [];
+      for (const [index, release] of history.entries()) {
+        const isCurrent = release.filePath === entry.filePath || release.version === publishedVersion || release.version === pin;
+        const withinCount = keepVersions > 0 && index < keepVersions;
+        const withinDays = keepDays > 0 && new Date(release.downloadedAt).getTime() >= cutoff;
+        
+        if (isCurrent || withinCount || withinDays) {
+          kept.push(release);
+          continue;
+        }
+        
+        logger.info(`🧹 Entferne alte Version: ${entry.displayName} ${release.version} (${release.fileName})`);
+        try {
+          await fs.rm(release.filePath, { force: true });
+          // Drop the version folder once it is empty
+          await fs.rmdir(path.dirname(release.filePath)).catch(() => {});
+        } catch (error) {
+          logger.error(`❌ Fehler beim Entfernen von ${release.filePath}: ${error.message}`);
+          kept.push(release);
+        }
+      }
+      
+      if (kept.length !== history.length) {
+        await this.updateMetadata(metadataKey, { ...entry, history: kept });
+      }
+    }
+  }
+
+  async withRetry(operation, subject, task, { onRetry } = {}) {
+    const policy = getRetryPolicy(this.config, operation);
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await task(attempt);
+        await this.recordAttempt(operation, subject, attempt, 'success');
+        return result;
+      } catch (error) {
+        // Closed download windows are not a failure, nothing to retry or record
+        if (error instanceof DownloadDeferredError) {
+          throw error;
+        }
+        
+        const { action, kind } = classifyError(error);
+        await this.recordAttempt(operation, subject, attempt, action, error, kind);
+        
+        if (action === 'give_up') {
+          logger.error(`🛑 ${subject}: ${error.message} - kein weiterer Versuch`);
+          throw error;
+        }
+        if (attempt >= policy.attempts) {
+          throw error;
+        }
+        
+        logger.warn(`⚠️ ${subject} fehlgeschlagen (Versuch ${attempt}/${policy.attempts}, ${kind}): ${error.message}`);
+        
+        if (action === 'relogin') {
+          await this.relogin();
+        } else if (action === 'retry') {
+          const delay = getRetryDelay(policy, attempt);
+          logger.info(`⏳ Warte ${Math.round(delay / 1000)} Sekunden vor dem nächsten Versuch...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        if (onRetry) {
+          await onRetry(action, error);
+        }
+      }
+    }
+  }
+
+  async loadAttemptLog() {
+    try {
+      const data = await fs.readFile(path.join(this.downloadDir, 'attempts.json'), 'utf-8');
+      this.attemptLog = JSON.parse(data);
+    } catch (error) {
+      this.attemptLog = {};
+    }
+  }
+
+  async recordAttempt(operation, subject, attempt, outcome, error = null, kind = null) {
+    const key = `${operation}:${subject}`;
+    const record = this.attemptLog[key] || { operation, subject, consecutiveFailures: 0, attempts: [] };
+    const at = new Date().toISOString();
+    
+    // A failed attempt that is retried successfully still counts, the artifact is only healthy after a success
+    if (outcome === 'success') {
+      record.consecutiveFailures = 0;
+      record.lastSuccessAt = at;
+    } else {
+      record.consecutiveFailures++;
+      record.lastFailureAt = at;
+      record.lastError = error.message;
+    }
+    
+    record.attempts = [
+      { at, attempt, outcome, ...(kind ? { kind } : {}), ...(error ? { error: error.message } : {}) },
+      ...record.attempts
+    ].slice(0, ATTEMPT_LOG_SIZE);
+    this.attemptLog[key] = record;
+    
+    if (outcome !== 'success' && this.currentRun) {
+      this.currentRun.failedAttempts.push({ operation, subject, attempt, outcome, kind, error: error.message, at });
+    }
+    
+    if (outcome !== 'success' && record.consecutiveFailures > 1) {
+      logger.warn(`📉 ${subject}: ${record.consecutiveFailures} Fehlversuche in Folge`);
+    }
+    
+    // Same as metadata.json, parallel downloads must not write over each other
+    const attemptsPath = path.join(this.downloadDir, 'attempts.json');
+    this.attemptLogWrite = (this.attemptLogWrite || Promise.resolve())
+      .catch(() => {})
+      .then(() => fs.writeFile(attemptsPath, JSON.stringify(this.attemptLog, null, 2)));
+    await this.attemptLogWrite;
+  }
+
+  async recordRun(run) {
+    try {
+      await fs.mkdir(this.downloadDir, { recursive: true });
+      await appendRun(path.join(this.downloadDir, RUN_HISTORY_FILE), run);
+    } catch (error) {
+      // The history is for later analysis, losing a record must not fail the check
+      logger.warn(`⚠️ Lauf ${run.id} konnte nicht gespeichert werden: ${error.message}`);
+    }
+  }
+
+  async loadRunHistory({ since } = {}) {
+    return readRuns(path.join(this.downloadDir, RUN_HISTORY_FILE), { since });
+  }
+
+  async loadScrapeHealth() {
+    try {
+      const data = await fs.readFile(path.join(this.downloadDir, 'scrape-health.json'), 'utf-8');
+      this.scrapeHealth = JSON.parse(data);
+    } catch (error) {
+      this.scrapeHealth = {};
+    }
+  }
+
+  // Compares the categories found on the page with those the application declares
+  // Categories whose variants were all filtered out are still on the page, they do not count as missing
+  async recordScrapeHealth(appType, downloads, unrecognised, matched = []) {
+    const application = this.applications[appType];
+    const expected = application.categories.filter(category => category.expected).map(category => category.id);
+    const found = [...new Set([...Object.entries(downloads).map(([key, download]) => download.category || key), ...matched])];
+    const missing = expected.filter(category => !found.includes(category));
+    
+    const previous = this.scrapeHealth[appType];
+    const consecutiveMissing = missing.length > 0 ? (previous?.consecutiveMissing || 0) + 1 : 0;
+    const status = missing.length === 0 ? 'ok' : consecutiveMissing >= this.driftThreshold ? 'drift' : 'degraded';
+    const checkedAt = new Date().toISOString();
+    
+    const health = {
+      status,
+      checkedAt,
+      lastOkAt: status === 'ok' ? checkedAt : previous?.lastOkAt || null,
+      consecutiveMissing,
+      expected,
+      found,
+      missing,
+      unrecognised
+    };
+    this.scrapeHealth[appType] = health;
+    if (!this.dryRun) {
+      await fs.writeFile(path.join(this.downloadDir, 'scrape-health.json'), JSON.stringify(this.scrapeHealth, null, 2));
+    }
+    
+    if (unrecognised.length > 0) {
+      logger.info(`🧩 ${application.name}: ${unrecognised.length} Links ohne Kategorie (${unrecognised.map(link => link.title).join(', ')})`);
+    }
+    
+    if (status === 'drift') {
+      logger.error(`🚨 ${application.name}: ${missing.join(', ')} fehlen seit ${consecutiveMissing} Checks, hat sich das Portal geändert?`);
+      // Once when the threshold is crossed, not on every check until someone fixes the rules
+      if (consecutiveMissing === this.driftThreshold) {
+        await this.notifier.notify('portal_drift', { appType, appName: application.name, missing, consecutiveMissing, unrecognised });
+      }
+    } else if (status === 'degraded') {
+      logger.warn(`🧩 ${application.name}: erwartete Kategorien nicht gefunden: ${missing.join(', ')}`);
+    } else if (previous && previous.status !== 'ok') {
+      logger.info(`✅ ${application.name}: alle erwarteten Kategorien wieder gefunden`);
+    }
+    
+    return health;
+  }
+
+  async loadMetadata() {
+    try {
       const metadataPath = path.join(this.downloadDir, 'metadata.json');
       const data = await fs.readFile(metadataPath, 'utf-8');
       this.metadata = JSON.parse(data);
@@ -739,7 +2506,12 @@ class BMWISTADownloader {
   async updateMetadata(category, data) {
     this.metadata[category] = data;
     const metadataPath = path.join(this.downloadDir, 'metadata.json');
-    await fs.writeFile(metadataPath, JSON.stringify(this.metadata, null, 2));
+    
+    // Parallel downloads finish at the same time, overlapping writes would mangle the file
+    this.metadataWrite = (this.metadataWrite || Promise.resolve())
+      .catch(() => {})
+      .then(() => fs.writeFile(metadataPath, JSON.stringify(this.metadata, null, 2)));
+    await this.metadataWrite;
     logger.debug(`Metadata aktualisiert für ${category}`);
   }
 
@@ -750,75 +2522,562 @@ class BMWISTADownloader {
     }
   }
 
-  async run() {
+  async runCheck({ restartBrowser = false, appTypes, wait = false } = {}) {
+    // Scheduled and manually triggered checks share one browser, never run them side by side
+    if (this.checkInProgress && !wait) {
+      logger.warn('⚠️ Update-Check läuft bereits, überspringe');
+      return null;
+    }
+    
+    while (this.checkInProgress) {
+      logger.info('⏳ Anderer Update-Check läuft noch, warte...');
+      await this.checkInProgress.catch(() => {});
+    }
+
+    const startedAt = new Date().toISOString();
+    this.checkInProgress = (async () => {
+      const previousTurn = profileTurn;
+      let endTurn;
+      profileTurn = new Promise(resolve => { endTurn = resolve; });
+      
+      try {
+        await previousTurn;
+        if (this.profile.name !== DEFAULT_PROFILE) {
+          logger.info(`👤 Update-Check für Profil ${this.profile.name}`);
+        }
+        return await this.runCheckTurn(restartBrowser, appTypes);
+      } finally {
+        endTurn();
+      }
+    })();
+
+    try {
+      const result = await this.checkInProgress;
+      this.lastCheck = { startedAt, finishedAt: new Date().toISOString(), ...result };
+      return result;
+    } catch (error) {
+      this.lastCheck = { startedAt, finishedAt: new Date().toISOString(), error: error.message };
+      throw error;
+    } finally {
+      this.checkInProgress = null;
+    }
+  }
+
+  async runCheckTurn(restartBrowser, appTypes) {
+    if (restartBrowser || !this.browser?.isConnected()) {
+      // Restart browser to prevent memory leaks
+      logger.info('🔄 Starte Browser neu...');
+      await this.cleanup();
+      await this.launchBrowser();
+      
+      // Reset login status after browser restart
+      this.isLoggedIn = false;
+    }
+    
+    return this.checkForUpdates(appTypes);
+  }
+
+  getCheckSchedules() {
+    // Default for applications without their own expression, derived from the old interval setting
+    const checkIntervalHours = parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
+    const fallback = this.schedule.default || process.env.CHECK_CRON ||
+      (checkIntervalHours < 24 ? `0 */${checkIntervalHours} * * *` : '0 0 * * *');
+    
+    const schedules = {};
+    for (const appType of Object.keys(this.applications)) {
+      schedules[appType] = this.schedule.checks?.[appType] || fallback;
+      validateCron(schedules[appType]);
+    }
+    return schedules;
+  }
+
+  async loadScheduleState() {
+    try {
+      const data = await fs.readFile(path.join(this.downloadDir, 'schedule-state.json'), 'utf-8');
+      this.scheduleState = { lastCheck: {}, ...JSON.parse(data) };
+    } catch (error) {
+      this.scheduleState = { lastCheck: {} };
+    }
+  }
+
+  async recordCheck(appType) {
+    this.scheduleState.lastCheck[appType] = new Date().toISOString();
+    await fs.writeFile(
+      path.join(this.downloadDir, 'schedule-state.json'),
+      JSON.stringify(this.scheduleState, null, 2)
+    );
+  }
+
+  updateNextCheckAt() {
+    const nextRuns = Object.values(this.checkSchedules || {})
+      .map(expression => findNextRun(expression, new Date(), this.schedule.timezone))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    this.nextCheckAt = nextRuns[0]?.toISOString() || null;
+  }
+
+  async runScheduledCheck(appTypes, { jitter = true } = {}) {
+    // Spread requests a little so we do not hit the portal at the exact same second every time
+    const jitterMinutes = this.schedule.jitterMinutes ?? (parseInt(process.env.SCHEDULE_JITTER_MINUTES) || 0);
+    if (jitter && jitterMinutes > 0) {
+      const delay = Math.floor(Math.random() * jitterMinutes * 60 * 1000);
+      logger.info(`🎲 Warte ${Math.round(delay / 1000)} Sekunden vor dem Update-Check (Jitter)`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    
+    logger.info(`🔄 Führe geplanten Update-Check durch: ${appTypes.map(appType => this.applications[appType].name).join(', ')}`);
+    
+    try {
+      await this.runCheck({ appTypes, restartBrowser: true, wait: true });
+    } catch (error) {
+      logger.error(`❌ Fehler beim Update-Check: ${error.message}`);
+      logger.info('🔄 Versuche es beim nächsten geplanten Check erneut...');
+      
+      // Ensure browser is cleaned up even if there's an error
+      try {
+        await this.cleanup();
+      } catch (cleanupError) {
+        logger.error(`❌ Fehler beim Aufräumen: ${cleanupError.message}`);
+      }
+    } finally {
+      this.updateNextCheckAt();
+      if (this.nextCheckAt) {
+        logger.info(`⏳ Nächster Update-Check: ${new Date(this.nextCheckAt).toLocaleString('de-DE')}`);
+      }
+    }
+  }
+
+  async run({ servers = true } = {}) {
     try {
       await this.initialize();
+      await this.loadScheduleState();
       
-      // Get check interval from environment (default: 6 hours)
-      const checkIntervalHours = parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
-      const checkIntervalMs = checkIntervalHours * 60 * 60 * 1000;
+      this.enforceDownloadWindow = true;
+      this.checkSchedules = this.getCheckSchedules();
+      this.scheduledTasks = [];
+      const timezone = this.schedule.timezone;
       
       logger.info(`🔄 BMW ISTA Downloader läuft im Dauerbetrieb`);
-      logger.info(`⏰ Update-Checks alle ${checkIntervalHours} Stunden (${checkIntervalMs / 1000 / 60} Minuten)`);
+      for (const [appType, expression] of Object.entries(this.checkSchedules)) {
+        logger.info(`⏰ ${this.applications[appType].name}: Update-Checks nach Zeitplan "${expression}"`);
+      }
+      if (this.downloadWindows.length > 0) {
+        logger.info(`🌙 Downloads nur im Fenster ${this.downloadWindows.map(window => window.label).join(', ')}`);
+      }
       
-      // Run initial check
-      logger.info('🚀 Führe ersten Update-Check durch...');
-      await this.checkForUpdates();
+      // Dashboard is optional and only started in continuous mode
+      const dashboardPort = parseInt(process.env.DASHBOARD_PORT) || 0;
+      if (servers && dashboardPort) {
+        this.dashboard = await startDashboard(this, {
+          port: dashboardPort,
+          host: process.env.DASHBOARD_HOST || '127.0.0.1'
+        });
+      }
       
-      // Set up continuous operation
-      while (true) {
-        logger.info(`⏳ Warte ${checkIntervalHours} Stunden bis zum nächsten Update-Check...`);
-        
-        // Wait for the specified interval
-        await new Promise(resolve => setTimeout(resolve, checkIntervalMs));
-        
-        logger.info('🔄 Führe regelmäßigen Update-Check durch...');
-        
-        try {
-          // Restart browser to prevent memory leaks
-          logger.info('🔄 Starte Browser neu...');
-          await this.cleanup();
-          await this.launchBrowser();
-          
-          // Reset login status after browser restart
-          this.isLoggedIn = false;
-          
-          await this.checkForUpdates();
-        } catch (error) {
-          logger.error(`❌ Fehler beim Update-Check: ${error.message}`);
-          logger.info('🔄 Versuche es beim nächsten Intervall erneut...');
-          
-          // Ensure browser is cleaned up even if there's an error
-          try {
-            await this.cleanup();
-          } catch (cleanupError) {
-            logger.error(`❌ Fehler beim Aufräumen: ${cleanupError.message}`);
+      // Manifest, feed and files for the workshop PCs, meant for the LAN unlike the dashboard
+      const fileServerPort = parseInt(process.env.FILE_SERVER_PORT) || 0;
+      if (servers && fileServerPort) {
+        this.fileServer = await startFileServer(this, {
+          port: fileServerPort,
+          host: process.env.FILE_SERVER_HOST || '0.0.0.0'
+        });
+      }
+      
+      for (const [appType, expression] of Object.entries(this.checkSchedules)) {
+        this.scheduledTasks.push(scheduleTask(expression, () => this.runScheduledCheck([appType]), timezone));
+      }
+      
+      // Pick up downloads that were deferred because they were found outside a window
+      for (const window of this.downloadWindows) {
+        this.scheduledTasks.push(scheduleTask(windowStartExpression(window), () => {
+          if (this.deferredApps.size > 0) {
+            this.runScheduledCheck([...this.deferredApps], { jitter: false });
           }
-        }
+        }, timezone));
+      }
+      
+      // Catch up on runs that were due while the service was not running
+      const missed = findMissedChecks(this.checkSchedules, this.scheduleState.lastCheck, new Date(), timezone);
+      
+      if (missed.length > 0) {
+        logger.info('🚀 Hole verpasste Update-Checks nach...');
+        await this.runScheduledCheck(missed, { jitter: false });
+      } else {
+        this.updateNextCheckAt();
+        logger.info(`⏳ Nächster Update-Check: ${new Date(this.nextCheckAt).toLocaleString('de-DE')}`);
       }
       
+      // The cron tasks keep the process alive from here on
+      await new Promise(() => {});
+      
     } catch (error) {
+      // Only this profile stops, the others keep running on their own schedules
       logger.error(`❌ Kritischer Fehler: ${error.message}`);
+      for (const task of this.scheduledTasks || []) {
+        task.stop();
+      }
+      this.dashboard?.close();
+      this.fileServer?.close();
+      await this.notifier.notify('profile_failed', { error: error.message });
+      await this.notifier.flush();
       await this.cleanup();
-      process.exit(1);
+      throw error;
+    }
+  }
+}
+
+const USAGE = `Verwendung: node index.js [Befehl] [Optionen]
+
+Befehle:
+  run                          Dauerbetrieb mit Update-Checks nach Cron-Zeitplan (Standard)
+  check --once                 Einmaliger Update-Check, Exit-Code 0 nur ohne Fehler, 3 bei Portal-Änderung
+  list [app]                   Downloads auf dem Portal anzeigen, ohne herunterzuladen
+  status                       Lokale Metadaten anzeigen
+  download <app>:<kategorie>[:<variante>]
+                               Eine Kategorie erzwingen, z.B. ista-next:programming_data
+  history [app[:kategorie]]    Vergangene Update-Checks anzeigen
+  history versions [app[:kat]] Wann jede Version zuerst auf dem Portal war
+
+Optionen:
+  --once                       Nur einen Durchlauf ausführen (für check)
+  --dry-run                    Nichts herunterladen oder löschen, nur anzeigen
+  --profile <name>             Nur dieses Profil aus config.json verwenden
+  --since <datum>              Nur Läufe ab diesem Datum (für history), z.B. 2026-09-01
+  --debug                      Ausführliche Ausgabe
+  --help                       Diese Hilfe anzeigen`;
+
+function parseArgs(argv) {
+  const options = { once: false, dryRun: false, debug: false, help: false, profile: null, since: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--once':
+        options.once = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--debug':
+        options.debug = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--profile':
+        options.profile = argv[++i];
+        if (!options.profile) {
+          throw new Error('--profile braucht einen Profilnamen');
+        }
+        break;
+      case '--since':
+        options.since = argv[++i];
+        if (!options.since) {
+          throw new Error('--since braucht ein Datum');
+        }
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unbekannte Option: ${arg}`);
+        }
+        positional.push(arg);
+    }
+  }
+
+  const [command = 'run', ...args] = positional;
+  return { command, args, options };
+}
+
+async function listCommand(downloader, args) {
+  const appTypes = args.length > 0 ? args : Object.keys(downloader.downloadCategories);
+  for (const appType of appTypes) {
+    if (!downloader.downloadCategories[appType]) {
+      throw new Error(`Unbekannte Anwendung: ${appType}`);
+    }
+  }
+
+  await downloader.initialize();
+  if (!(await downloader.login())) {
+    return 1;
+  }
+
+  let exitCode = 0;
+  for (const appType of appTypes) {
+    if (!(await downloader.navigateToApplication(appType))) {
+      exitCode = 1;
+      continue;
+    }
+
+    const downloads = await downloader.findDownloads(appType);
+    console.log(`\n${appType}:`);
+    for (const [category, download] of Object.entries(downloads)) {
+      const localVersion = downloader.metadata[`${appType}_${category}`]?.version || '-';
+      console.log(`  ${category.padEnd(18)} ${download.version.padEnd(14)} lokal: ${localVersion.padEnd(14)} ${download.url}`);
+    }
+  }
+
+  return exitCode;
+}
+
+async function statusCommand(downloader) {
+  await downloader.initialize({ withBrowser: false });
+
+  const entries = Object.entries(downloader.metadata);
+  if (entries.length === 0) {
+    console.log('Noch keine Downloads vorhanden.');
+  }
+
+  for (const [key, entry] of entries) {
+    const integrity = entry.integrity === 'corrupted' ? ' [BESCHÄDIGT]' : '';
+    const size = entry.fileSize ? downloader.formatFileSize(entry.fileSize) : '-';
+    console.log(`${key.padEnd(28)} ${String(entry.version).padEnd(14)} ${size.padEnd(12)} ${entry.downloadedAt || '-'}  ${entry.fileName || ''}${integrity}`);
+  }
+
+  // New versions the sync policy keeps on the portal
+  const held = Object.entries(downloader.heldVersions);
+  if (held.length > 0) {
+    console.log('\nZurückgehalten:');
+    for (const [key, entry] of held) {
+      const reason = entry.reason === 'pinned' ? `festgelegt auf ${entry.pin}` : entry.reason;
+      console.log(`${key.padEnd(28)} ${String(entry.version).padEnd(14)} ${reason}  seit ${entry.heldSince}`);
+    }
+  }
+
+  // Expected categories the portal no longer shows
+  for (const [appType, health] of Object.entries(downloader.scrapeHealth)) {
+    if (health.status !== 'ok') {
+      console.log(`\nPortal-Abgleich ${appType}: ${health.status}, fehlend seit ${health.consecutiveMissing} Checks: ${health.missing.join(', ')}`);
+      for (const link of health.unrecognised) {
+        console.log(`  nicht erkannt: ${link.title} (${link.fileName || '-'})`);
+      }
+    }
+  }
+
+  // Repeated failures of the same artifact or page
+  const failing = Object.values(downloader.attemptLog).filter(record => record.consecutiveFailures > 0);
+  if (failing.length > 0) {
+    console.log('\nFehlversuche:');
+    for (const record of failing) {
+      console.log(`${`${record.operation}:${record.subject}`.padEnd(38)} ${String(record.consecutiveFailures).padEnd(4)} ${record.lastFailureAt}  ${record.lastError}`);
+    }
+  }
+
+  return 0;
+}
+
+async function downloadCommand(downloader, args) {
+  const [target] = args;
+  const [appType, category, variant] = (target || '').split(':');
+
+  if (!downloader.downloadCategories[appType]?.[category]) {
+    throw new Error(`Unbekannte Kategorie: ${target || '(keine)'} - erwartet z.B. ista-next:programming_data`);
+  }
+
+  await downloader.initialize();
+  if (!(await downloader.login()) || !(await downloader.navigateToApplication(appType))) {
+    return 1;
+  }
+
+  // List categories yield one download per variant, all of them unless one is named
+  const selected = Object.values(await downloader.findDownloads(appType))
+    .filter(download => download.category === category && (!variant || download.variant === variant));
+  if (selected.length === 0) {
+    logger.error(`❌ ${downloader.downloadCategories[appType][category]}${variant ? ` (${variant})` : ''} nicht auf dem Portal gefunden`);
+    return 1;
+  }
+
+  if (downloader.dryRun) {
+    for (const download of selected) {
+      logger.info(`🧪 Dry-Run: würde ${download.displayName} (${download.version}) herunterladen`);
+    }
+    return 0;
+  }
+
+  let success = true;
+  for (const download of selected) {
+    success = await downloader.downloadFile(download) && success;
+  }
+  await downloader.publishManifest();
+  return success ? 0 : 1;
+}
+
+function matchesFilter(filter, appType, category) {
+  const [filterApp, filterCategory] = (filter || '').split(':');
+  return (!filterApp || filterApp === appType) && (!filterCategory || !category || filterCategory === category);
+}
+
+async function historyCommand(downloader, args, { since }) {
+  const [mode, filter] = args[0] === 'versions' ? ['versions', args[1]] : ['runs', args[0]];
+  // First sightings need the whole history, --since only limits what is listed
+  const runs = await downloader.loadRunHistory(mode === 'versions' ? {} : { since });
+
+  if (runs.length === 0) {
+    console.log('Keine Update-Checks aufgezeichnet.');
+    return 0;
+  }
+
+  if (mode === 'versions') {
+    const versions = findFirstSeen(runs, { since })
+      .filter(seen => matchesFilter(filter, seen.appType, seen.category))
+      .sort((a, b) => new Date(a.firstSeenAt) - new Date(b.firstSeenAt));
+    for (const seen of versions) {
+      console.log(`${[seen.appType, seen.category, seen.variant].filter(Boolean).join(':').padEnd(32)} ${String(seen.version).padEnd(14)} zuerst ${seen.firstSeenAt}  zuletzt ${seen.lastSeenAt}  (${seen.seenCount}x)`);
     }
+    return 0;
   }
+
+  for (const run of runs) {
+    const appTypes = Object.keys(run.applications).filter(appType => matchesFilter(filter, appType));
+    if (appTypes.length === 0) {
+      continue;
+    }
+
+    const newCount = appTypes.flatMap(appType => run.applications[appType].decisions).filter(decision => decision.download).length;
+    const downloads = run.downloads.filter(download => matchesFilter(filter, download.appType, download.category));
+    const bytes = downloads.reduce((sum, download) => sum + (download.bytes || 0), 0);
+    const count = outcome => downloads.filter(download => download.outcome === outcome).length;
+    const problems = [
+      ...(run.error ? [run.error] : []),
+      ...(run.errors || []),
+      ...run.failedAttempts.map(attempt => `${attempt.operation}:${attempt.subject} (${attempt.kind})`)
+    ];
+
+    console.log(`${run.id}  ${run.startedAt}  ${`${Math.round(run.durationMs / 1000)}s`.padEnd(7)} ` +
+      `${appTypes.length} Apps, ${newCount} neu, ${count('success')}/${count('failed')}/${count('deferred')} ok/fehlgeschlagen/verschoben, ` +
+      `${downloader.formatFileSize(bytes)}${run.dryRun ? ' [Dry-Run]' : ''}`);
+    for (const problem of [...new Set(problems)]) {
+      console.log(`    ⚠️ ${problem}`);
+    }
+  }
+  return 0;
+}
+
+// Profiles run one after the other, each with its own browser, session and metadata
+async function forEachProfile(downloaders, command) {
+  let exitCode = 0;
+  for (const downloader of downloaders) {
+    if (downloaders.length > 1) {
+      console.log(`\n=== Profil ${downloader.profile.name} ===`);
+    }
+    try {
+      exitCode = Math.max(exitCode, await command(downloader));
+    } finally {
+      // Digest mode only queues events, list and download never reach the flush of a check
+      await downloader.notifier.flush();
+      await downloader.cleanup();
+    }
+  }
+  return exitCode;
+}
+
+async function runProfiles(downloaders) {
+  // Dashboard and file server have one port each, they show the first profile
+  const results = await Promise.allSettled(downloaders.map((downloader, index) => downloader.run({ servers: index === 0 })));
+  // Profiles only return by failing, so this is reached once the last one has stopped
+  return results.some(result => result.status === 'rejected') ? 1 : 0;
 }
 
-// Handle shutdown gracefully
-const downloader = new BMWISTADownloader();
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, args, options } = parsed;
+
+  if (options.help || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.debug) {
+    process.env.DEBUG = 'true';
+    logger.level = 'debug';
+  }
+
+  let downloaders;
+  try {
+    const config = loadConfig();
+    const profiles = selectProfiles(loadProfiles(config), options.profile);
+    downloaders = profiles.map(profile => new BMWISTADownloader({ dryRun: options.dryRun, config, profile }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  // Handle shutdown gracefully
+  const shutdown = async () => {
+    logger.info('\n👋 Beende BMW ISTA Downloader...');
+    await Promise.all(downloaders.map(async downloader => {
+      await downloader.notifier.flush();
+      await downloader.cleanup();
+    }));
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-process.on('SIGINT', async () => {
-  logger.info('\n👋 Beende BMW ISTA Downloader...');
-  await downloader.cleanup();
-  process.exit(0);
-});
+  try {
+    switch (command) {
+      case 'run':
+        return await runProfiles(downloaders);
+      case 'check':
+        if (!options.once) {
+          return await runProfiles(downloaders);
+        }
+        return await forEachProfile(downloaders, async downloader => {
+          await downloader.initialize();
+          const result = await downloader.checkForUpdates();
+          // Missing categories over several checks mean the scraper needs fixing, not another retry
+          if (result.errors.some(error => error.startsWith('drift:'))) {
+            return 3;
+          }
+          return result.failCount === 0 && result.errors.length === 0 ? 0 : 1;
+        });
+      case 'list':
+        return await forEachProfile(downloaders, downloader => listCommand(downloader, args));
+      case 'status':
+        return await forEachProfile(downloaders, downloader => statusCommand(downloader));
+      case 'history':
+        return await forEachProfile(downloaders, downloader => historyCommand(downloader, args, options));
+      case 'download':
+        if (downloaders.length > 1) {
+          console.error('Mehrere Profile konfiguriert, bitte --profile <name> angeben');
+          return 2;
+        }
+        return await forEachProfile(downloaders, downloader => downloadCommand(downloader, args));
+      default:
+        console.error(`Unbekannter Befehl: ${command}\n\n${USAGE}`);
+        return 2;
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    await Promise.all(downloaders.map(async downloader => {
+      await downloader.notifier.flush();
+      await downloader.cleanup();
+    }));
+  }
+}
 
-process.on('SIGTERM', async () => {
-  logger.info('\n👋 Beende BMW ISTA Downloader...');
-  await downloader.cleanup();
-  process.exit(0);
-});
+export {
+  BMWISTADownloader,
+  LoginError,
+  SessionExpiredError,
+  DownloadDeferredError,
+  LinkExpiredError,
+  HttpStatusError,
+  InsufficientDiskSpaceError,
+  logger
+};
 
-// Start the downloader
-downloader.run();
+// Only start the CLI when executed directly, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(exitCode => process.exit(exitCode));
+}
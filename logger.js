@@ -0,0 +1,22 @@
+import winston from 'winston';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.DEBUG === 'true' ? 'debug' : 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'bmw-downloader.log' })
+  ]
+});
+
+export default logger;
@@ -0,0 +1,304 @@
+import http from 'http';
+import { createHash } from 'crypto';
+import { generateTotp } from './totp.js';
+
+// Offline stand-in for auth.bmwgroup.com, aos.bmwgroup.com and the S3 file host.
+// Each runs on its own port, so the downloader sees three different hosts.
+
+const SESSION_COOKIE = 'aos_session';
+
+function makeFile(magic, size) {
+  const buffer = Buffer.alloc(size, 0x2a);
+  Buffer.from(magic, 'binary').copy(buffer);
+  return buffer;
+}
+
+export const MOCK_FILES = {
+  'ista-p/ISTAOSS_3.74.0.930.exe': makeFile('MZ', 64 * 1024),
+  'ista-p/ISTA-P_CommonDat_3.74.0.930.istapdata': makeFile('ISTA', 96 * 1024),
+  'ista-next/ISTAOSS_ProgrammingData_4.53.30.zip': makeFile('PK\x03\x04', 128 * 1024),
+  'ista-next/ISTAOSS_4.53.30.exe': makeFile('MZ', 64 * 1024),
+  'ista-next/ICOM-Next-FW-04-25-10.bin': makeFile('FW', 32 * 1024),
+  'ista-next/BMW_PTD_Driver_2.5.1.exe': makeFile('MZ', 16 * 1024)
+};
+
+const PAGES = {
+  'ista-p': [
+    { title: 'Installationsprogramm ISTA/P', key: 'ista-p/ISTAOSS_3.74.0.930.exe' },
+    // Started from JavaScript like on the real page, there is no link to read
+    { title: 'Datenarchiv ISTA/P', key: 'ista-p/ISTA-P_CommonDat_3.74.0.930.istapdata', button: true }
+  ],
+  'ista-next': [
+    { title: 'ISTA Programmierdaten', key: 'ista-next/ISTAOSS_ProgrammingData_4.53.30.zip', version: '4.53.30' },
+    { title: 'Installationsdatei ISTA Client', key: 'ista-next/ISTAOSS_4.53.30.exe', version: '4.53.30' },
+    { title: 'ICOM Next Firmware', key: 'ista-next/ICOM-Next-FW-04-25-10.bin', version: '04-25-10' },
+    { title: 'BMW PTD-Treiber', key: 'ista-next/BMW_PTD_Driver_2.5.1.exe', version: '2.5.1' }
+  ]
+};
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function html(res, body, statusCode = 200) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html><html><body>${body}</body></html>`);
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function hasSession(req, state) {
+  const cookies = Object.fromEntries((req.headers.cookie || '').split(/;\s*/).map(cookie => cookie.split('=')));
+  return cookies[SESSION_COOKIE] !== undefined && state.sessions.has(cookies[SESSION_COOKIE]);
+}
+
+function downloadLink(aosUrl, key) {
+  return `${aosUrl}/api/v2/downloads?key=${encodeURIComponent(key)}`;
+}
+
+const ACCOUNT_PAGES = {
+  locked: ['<div class="alert alert-danger">Ihr Konto ist gesperrt. Wenden Sie sich an den Support.</div>', 401],
+  password_expired: ['<h1>Passwort abgelaufen</h1><form><input type="password" name="newPassword"></form>', 200],
+  terms: ['<h1>Nutzungsbedingungen</h1><form><button type="submit" name="accept">Akzeptieren</button></form>', 200]
+};
+
+function totpForm(error) {
+  return `
+    ${error ? `<p class="error">${error}</p>` : ''}
+    <form method="post" action="/auth/otp">
+      <input type="text" name="otp" autocomplete="one-time-code">
+      <button type="submit">Bestätigen</button>
+    </form>`;
+}
+
+export async function startMockPortal({ username = 'werkstatt@example.com', password = 'geheim', totpSecret = null } = {}) {
+  const state = {
+    sessions: new Set(),
+    loginAttempts: 0,
+    // "locked", "password_expired" or "terms" show the matching page instead of the portal
+    accountStatus: null,
+    downloadRequests: 0,
+    // Range header of every request to the file host, null for full transfers
+    fileRanges: [],
+    // Number of bytes after which the next file transfer is cut off, probes of a few bytes are never cut
+    interruptNextAt: null
+  };
+  const urls = {};
+
+  function startSession(res) {
+    const sessionId = createHash('sha1').update(String(Math.random())).digest('hex');
+    state.sessions.add(sessionId);
+    res.writeHead(302, {
+      'Set-Cookie': `${SESSION_COOKIE}=${sessionId}; Path=/`,
+      'Location': `${urls.aos}/startpage-workshop`
+    });
+    res.end();
+  }
+
+  const authServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, urls.auth);
+
+    if (req.method === 'GET' && pathname === '/auth/XUI/') {
+      html(res, `
+        <form method="post" action="/auth/login">
+          <input type="text" name="j_username">
+          <input type="password" name="j_password">
+          <button type="submit">Anmelden</button>
+        </form>`);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/auth/login') {
+      state.loginAttempts++;
+      const form = await readBody(req);
+
+      if (state.accountStatus === 'locked') {
+        html(res, ...ACCOUNT_PAGES.locked);
+        return;
+      }
+
+      if (form.get('j_username') !== username || form.get('j_password') !== password) {
+        html(res, '<p class="error">Benutzername oder Passwort ungültig</p>', 401);
+        return;
+      }
+
+      if (state.accountStatus) {
+        html(res, ...ACCOUNT_PAGES[state.accountStatus]);
+        return;
+      }
+
+      if (totpSecret) {
+        html(res, totpForm());
+        return;
+      }
+
+      startSession(res);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/auth/otp') {
+      const form = await readBody(req);
+      if (!totpSecret || form.get('otp') !== generateTotp(totpSecret)) {
+        html(res, totpForm('Der Code ist ungültig'), 401);
+        return;
+      }
+
+      startSession(res);
+      return;
+    }
+
+    html(res, 'Nicht gefunden', 404);
+  });
+
+  const aosServer = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, urls.aos);
+    const loggedIn = hasSession(req, state);
+
+    // The ISTA-P frame comes from another origin, cookies of the portal do not reach it
+    const frameMatch = /^\/frames\/(ista-p|ista-next)$/.exec(pathname);
+    if (frameMatch) {
+      const links = PAGES[frameMatch[1]]
+        .map(entry => entry.button
+          ? `<button onclick="location.href = '${urls.s3}/bucket/${entry.key}?X-Amz-Expires=300&signed=true'">${entry.title}</button>`
+          : `<a href="${downloadLink(urls.aos, entry.key)}">${entry.title}</a>`)
+        .join('\n');
+      html(res, `${links}<iframe src="/frames/${frameMatch[1]}/notes"></iframe>`);
+      return;
+    }
+
+    if (/^\/frames\/(ista-p|ista-next)\/notes$/.test(pathname)) {
+      html(res, `<a href="${downloadLink(urls.aos, 'notes/Release_Notes.pdf')}">Release Notes.pdf</a>`);
+      return;
+    }
+
+    if (pathname === '/api/v2/downloads') {
+      state.downloadRequests++;
+      if (!loggedIn) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'unauthorized' }));
+        return;
+      }
+      const key = searchParams.get('key');
+      if (!MOCK_FILES[key]) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(302, { Location: `${urls.s3}/bucket/${key}?X-Amz-Expires=300&signed=true` });
+      res.end();
+      return;
+    }
+
+    if (!loggedIn) {
+      res.writeHead(302, { Location: `${urls.auth}/auth/XUI/` });
+      res.end();
+      return;
+    }
+
+    if (pathname === '/startpage-workshop') {
+      html(res, '<h1>Werkstatt</h1>');
+      return;
+    }
+
+    // ISTA-Next loads its catalogue through JSON like the real SPA
+    if (pathname === '/api/v1/applications/ista-next/downloads') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        items: PAGES['ista-next'].map(entry => ({
+          name: entry.title,
+          version: entry.version,
+          size: MOCK_FILES[entry.key].length,
+          language: 'de',
+          links: { download: `/api/v2/downloads?key=${encodeURIComponent(entry.key)}` }
+        }))
+      }));
+      return;
+    }
+
+    const appMatch = /^\/applications\/(ista-p|ista-next)$/.exec(pathname);
+    if (appMatch) {
+      const script = appMatch[1] === 'ista-next'
+        ? '<script>fetch("/api/v1/applications/ista-next/downloads").then(r => r.json())</script>'
+        : '';
+      // Same server under another host name, which is a different origin for the browser
+      const frameOrigin = appMatch[1] === 'ista-p' ? urls.aos.replace('127.0.0.1', 'localhost') : '';
+      html(res, `<h1>${appMatch[1]}</h1><iframe src="${frameOrigin}/frames/${appMatch[1]}"></iframe>${script}`);
+      return;
+    }
+
+    html(res, 'Nicht gefunden', 404);
+  });
+
+  const s3Server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, urls.s3);
+    const key = decodeURIComponent(pathname.replace(/^\/bucket\//, ''));
+    const file = MOCK_FILES[key];
+
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'application/xml' });
+      res.end('<Error><Code>NoSuchKey</Code></Error>');
+      return;
+    }
+
+    const etag = `"${createHash('md5').update(file).digest('hex')}"`;
+    state.fileRanges.push(req.headers.range || null);
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    const useRange = range && (!req.headers['if-range'] || req.headers['if-range'] === etag);
+    const start = useRange ? parseInt(range[1]) : 0;
+    const end = useRange && range[2] ? Math.min(parseInt(range[2]), file.length - 1) : file.length - 1;
+    const partial = start > 0 || end < file.length - 1;
+
+    res.writeHead(partial ? 206 : 200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      'ETag': etag,
+      ...(partial ? { 'Content-Range': `bytes ${start}-${end}/${file.length}` } : {})
+    });
+
+    // Only full or resumed transfers are cut, a bounded range is a probe
+    if (state.interruptNextAt !== null && end === file.length - 1) {
+      const cutAt = state.interruptNextAt;
+      state.interruptNextAt = null;
+      res.write(file.subarray(start, start + cutAt));
+      setTimeout(() => res.destroy(), 20);
+      return;
+    }
+
+    res.end(file.subarray(start, end + 1));
+  });
+
+  urls.auth = await listen(authServer);
+  urls.aos = await listen(aosServer);
+  urls.s3 = await listen(s3Server);
+
+  return {
+    state,
+    username,
+    password,
+    authUrl: `${urls.auth}/auth/XUI/`,
+    istaPUrl: `${urls.aos}/applications/ista-p`,
+    istaNextUrl: `${urls.aos}/applications/ista-next`,
+    downloadLink: key => downloadLink(urls.aos, key),
+    // Presigned link as the button on the ISTA-P page hands it out, a new signature each time
+    fileLink: (key, signature) => `${urls.s3}/bucket/${key}?X-Amz-Expires=300&X-Amz-Signature=${signature}`,
+    createSession() {
+      const sessionId = `test-${state.sessions.size}`;
+      state.sessions.add(sessionId);
+      return { name: SESSION_COOKIE, value: sessionId };
+    },
+    close() {
+      return Promise.all([authServer, aosServer, s3Server].map(server => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })));
+    }
+  };
+}
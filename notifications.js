@@ -0,0 +1,234 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+
+export const NOTIFICATION_EVENTS = [
+  'new_version',
+  'download_completed',
+  'download_failed',
+  'hook_failed',
+  'login_failed',
+  'no_downloads',
+  'portal_drift',
+  'profile_failed'
+];
+
+// Why the sync policy keeps a new version on the portal
+const HELD_REASONS = {
+  pinned: data => `Sie wird nicht heruntergeladen, die Kategorie ist auf ${data.pin} festgelegt.`,
+  notify_only: () => 'Sie wird laut Sync-Richtlinie nur gemeldet, nicht heruntergeladen.',
+  too_large: data => `Sie wird nicht heruntergeladen, ${Math.round(data.size / 1024 / 1024)} MB überschreiten das Limit von ${data.maxSizeMB} MB.`
+};
+
+function formatEvent(event, data) {
+  switch (event) {
+    case 'new_version':
+      return {
+        title: `Neue Version: ${data.displayName}`,
+        message: `${data.displayName} ${data.version} ist auf dem Portal verfügbar (lokal: ${data.previousVersion || 'keine'}).` +
+          (data.held ? ` ${HELD_REASONS[data.held](data)}` : '')
+      };
+    case 'download_completed':
+      return {
+        title: `Download abgeschlossen: ${data.displayName}`,
+        message: `${data.fileName} (${data.version}) wurde heruntergeladen.`
+      };
+    case 'download_failed':
+      return {
+        title: `Download fehlgeschlagen: ${data.displayName}`,
+        message: `${data.displayName}${data.version ? ` ${data.version}` : ''} konnte nicht geladen werden: ${data.error}` +
+          (data.consecutiveFailures > 1 ? ` (${data.consecutiveFailures} Fehlversuche in Folge)` : '')
+      };
+    case 'hook_failed':
+      return {
+        title: `Nachbearbeitung fehlgeschlagen: ${data.displayName}`,
+        message: `${data.fileName} (${data.version}) wurde heruntergeladen, der Schritt "${data.hook}" ist fehlgeschlagen: ${data.error}`
+      };
+    case 'login_failed':
+      return {
+        title: 'Login fehlgeschlagen',
+        message: `Der Login bei BMW AOS ist fehlgeschlagen${data.code ? ` (${data.code})` : ''}: ${data.error}`
+      };
+    case 'no_downloads':
+      return {
+        title: `Keine Downloads gefunden: ${data.appName}`,
+        message: `Auf der ${data.appName} Seite wurden keine Downloads gefunden. Hat sich das Portal geändert?`
+      };
+    case 'portal_drift':
+      return {
+        title: `Portal geändert? ${data.appName}`,
+        message: `Auf der ${data.appName} Seite fehlen seit ${data.consecutiveMissing} Checks: ${data.missing.join(', ')}.` +
+          (data.unrecognised.length > 0 ? ` Nicht erkannte Links: ${data.unrecognised.map(link => link.title).join(', ')}.` : '')
+      };
+    case 'profile_failed':
+      return {
+        title: 'Dauerbetrieb beendet',
+        message: `Nach einem kritischen Fehler laufen keine Update-Checks mehr: ${data.error}`
+      };
+    default:
+      return { title: event, message: JSON.stringify(data) };
+  }
+}
+
+function createChannel(name, definition) {
+  switch (definition.type) {
+    case 'webhook':
+      return async notification => {
+        await axios.post(definition.url, notification, {
+          headers: definition.headers || {},
+          timeout: 30000
+        });
+      };
+
+    case 'email': {
+      const transport = nodemailer.createTransport({
+        host: definition.host,
+        port: definition.port || 587,
+        secure: definition.secure || false,
+        auth: definition.user ? { user: definition.user, pass: definition.password } : undefined
+      });
+      return async notification => {
+        await transport.sendMail({
+          from: definition.from,
+          to: definition.to,
+          subject: `[BMW ISTA] ${notification.title}`,
+          text: notification.message
+        });
+      };
+    }
+
+    case 'ntfy':
+      return async notification => {
+        await axios.post(definition.url, {
+          topic: definition.topic,
+          title: notification.title,
+          message: notification.message,
+          priority: notification.event.endsWith('_failed') ? 4 : 3
+        }, {
+          headers: definition.token ? { Authorization: `Bearer ${definition.token}` } : {},
+          timeout: 30000
+        });
+      };
+
+    case 'gotify':
+      return async notification => {
+        await axios.post(`${definition.url.replace(/\/$/, '')}/message`, {
+          title: notification.title,
+          message: notification.message,
+          priority: notification.event.endsWith('_failed') ? 8 : 5
+        }, {
+          headers: { 'X-Gotify-Key': definition.token },
+          timeout: 30000
+        });
+      };
+
+    default:
+      throw new Error(`Unbekannter Benachrichtigungstyp "${definition.type}" für Kanal ${name}`);
+  }
+}
+
+export class Notifier {
+  constructor(config = {}, { dryRun = false, profile = null } = {}) {
+    this.digest = config.digest || false;
+    this.routes = config.routes || {};
+    this.dryRun = dryRun;
+    this.profile = profile;
+    this.pending = [];
+    this.channels = {};
+
+    for (const event of Object.keys(this.routes)) {
+      if (event !== '*' && !NOTIFICATION_EVENTS.includes(event)) {
+        logger.warn(`⚠️ Unbekanntes Benachrichtigungsereignis in routes: ${event}`);
+      }
+    }
+
+    for (const [name, definition] of Object.entries(config.channels || {})) {
+      this.channels[name] = createChannel(name, definition);
+    }
+  }
+
+  getChannelsFor(event) {
+    // Without routes every channel receives every event
+    const routed = this.routes[event] || this.routes['*'];
+    if (!routed) {
+      return Object.keys(this.channels);
+    }
+    return routed.filter(name => {
+      if (!this.channels[name]) {
+        logger.warn(`⚠️ Benachrichtigungskanal ${name} ist nicht konfiguriert`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  async notify(event, data = {}) {
+    const channelNames = this.getChannelsFor(event);
+    if (channelNames.length === 0) {
+      return;
+    }
+
+    // With several profiles the recipient has to know which account is meant
+    const { title, message } = formatEvent(event, data);
+    const notification = {
+      event,
+      title: this.profile ? `${this.profile}: ${title}` : title,
+      message,
+      ...(this.profile ? { profile: this.profile } : {}),
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.digest) {
+      this.pending.push({ notification, channelNames });
+      return;
+    }
+
+    await this.send(channelNames, notification);
+  }
+
+  async flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const pending = this.pending;
+    this.pending = [];
+
+    // One summary per channel containing only the events routed to it
+    for (const name of Object.keys(this.channels)) {
+      const notifications = pending
+        .filter(entry => entry.channelNames.includes(name))
+        .map(entry => entry.notification);
+
+      if (notifications.length === 0) {
+        continue;
+      }
+
+      await this.send([name], {
+        event: notifications.some(notification => notification.event.endsWith('_failed')) ? 'digest_failed' : 'digest',
+        title: `Zusammenfassung: ${notifications.length} Ereignisse`,
+        message: notifications.map(notification => `- ${notification.title}: ${notification.message}`).join('\n'),
+        data: { events: notifications },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async send(channelNames, notification) {
+    for (const name of channelNames) {
+      if (this.dryRun) {
+        logger.info(`🧪 Dry-Run: Benachrichtigung an ${name}: ${notification.title}`);
+        continue;
+      }
+
+      try {
+        await this.channels[name](notification);
+        logger.debug(`Benachrichtigung an ${name} gesendet: ${notification.title}`);
+      } catch (error) {
+        // A broken channel must never break the update check
+        logger.error(`❌ Benachrichtigung an ${name} fehlgeschlagen: ${error.message}`);
+      }
+    }
+  }
+}
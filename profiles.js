@@ -0,0 +1,65 @@
+import path from 'path';
+
+export const DEFAULT_PROFILE = 'default';
+
+function resolveSecret(definition, field, name, { required = true } = {}) {
+  // Secrets may stay in the environment, config.json only names the variable
+  const value = definition[field] ?? (definition[`${field}Env`] && process.env[definition[`${field}Env`]]);
+  if (!value && !required) {
+    return null;
+  }
+  if (!value) {
+    throw new Error(`Profil ${name} hat kein "${field}" bzw. "${field}Env"`);
+  }
+  return value;
+}
+
+function compileProfile(name, definition) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Ungültiger Profilname: ${name} (erlaubt sind Buchstaben, Ziffern, . _ -)`);
+  }
+
+  const downloadDir = definition.downloadDir || path.join(process.env.DOWNLOAD_DIR || './downloads', name);
+  return {
+    name,
+    username: resolveSecret(definition, 'username', name),
+    password: resolveSecret(definition, 'password', name),
+    totpSecret: resolveSecret(definition, 'totpSecret', name, { required: false }),
+    locale: definition.locale || process.env.BROWSER_LOCALE || 'de-DE',
+    applications: definition.applications || null,
+    downloadDir,
+    sessionFile: definition.sessionFile || path.join(downloadDir, 'session-state.json')
+  };
+}
+
+// Profiles come from the "profiles" section of the config, without it the .env settings are the only profile
+export function loadProfiles(config = {}) {
+  const definitions = config.profiles || {};
+
+  if (Object.keys(definitions).length === 0) {
+    return [{
+      name: DEFAULT_PROFILE,
+      username: process.env.BMW_USERNAME,
+      password: process.env.BMW_PASSWORD,
+      totpSecret: process.env.BMW_TOTP_SECRET || null,
+      locale: process.env.BROWSER_LOCALE || 'de-DE',
+      applications: null,
+      downloadDir: process.env.DOWNLOAD_DIR || './downloads',
+      sessionFile: process.env.SESSION_FILE || './session-state.json'
+    }];
+  }
+
+  return Object.entries(definitions).map(([name, definition]) => compileProfile(name, definition));
+}
+
+export function selectProfiles(profiles, name) {
+  if (!name) {
+    return profiles;
+  }
+
+  const profile = profiles.find(candidate => candidate.name === name);
+  if (!profile) {
+    throw new Error(`Unbekanntes Profil: ${name} (vorhanden: ${profiles.map(candidate => candidate.name).join(', ')})`);
+  }
+  return [profile];
+}
@@ -0,0 +1,100 @@
+import path from 'path';
+
+// Newest releases listed in the feed
+const FEED_MAX_ENTRIES = 50;
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[c]);
+}
+
+// Paths in manifest and feed are relative to DOWNLOAD_DIR with forward slashes, clients may run Windows or not
+export function toPublicPath(downloadDir, filePath) {
+  return path.relative(downloadDir, filePath).split(path.sep).join('/');
+}
+
+function toUrl(baseUrl, publicPath) {
+  const encoded = publicPath.split('/').map(encodeURIComponent).join('/');
+  return baseUrl ? new URL(`files/${encoded}`, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href : `files/${encoded}`;
+}
+
+function describeRelease(release, downloadDir, baseUrl) {
+  const publicPath = toPublicPath(downloadDir, release.filePath);
+  return {
+    version: release.version,
+    fileName: release.fileName,
+    fileSize: release.fileSize,
+    sha256: release.sha256,
+    releaseDate: release.releaseDate || null,
+    downloadedAt: release.downloadedAt,
+    path: publicPath,
+    url: toUrl(baseUrl, publicPath)
+  };
+}
+
+export function buildManifest(metadata, { downloadDir, baseUrl, profile }) {
+  const applications = {};
+
+  for (const entry of Object.values(metadata)) {
+    if (!entry.appType || !entry.category || !entry.filePath) {
+      continue;
+    }
+
+    // Variants of a list category are listed side by side, "data_archive:ista-p-commondat-part2"
+    applications[entry.appType] = applications[entry.appType] || {};
+    applications[entry.appType][entry.artifactKey || entry.category] = {
+      displayName: entry.displayName,
+      ...(entry.variant ? { category: entry.category, variant: entry.variant } : {}),
+      ...describeRelease(entry, downloadDir, baseUrl),
+      ...(entry.integrity === 'corrupted' ? { integrity: 'corrupted' } : {}),
+      previous: (entry.history || [])
+        .filter(release => release.filePath !== entry.filePath)
+        .map(release => describeRelease(release, downloadDir, baseUrl))
+    };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ...(profile ? { profile } : {}),
+    applications
+  };
+}
+
+export function buildAtomFeed(metadata, { downloadDir, baseUrl, profile }) {
+  const releases = Object.values(metadata)
+    .filter(entry => entry.appType && entry.category)
+    .flatMap(entry => (entry.history || (entry.filePath ? [entry] : [])).map(release => ({ entry, release })))
+    .sort((a, b) => new Date(b.release.downloadedAt) - new Date(a.release.downloadedAt))
+    .slice(0, FEED_MAX_ENTRIES);
+
+  const title = `BMW ISTA Downloads${profile ? ` (${profile})` : ''}`;
+  const updated = releases[0]?.release.downloadedAt || new Date().toISOString();
+  const feedId = baseUrl ? new URL('feed.atom', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href : 'urn:bmw-ista-downloader:feed';
+
+  const entries = releases.map(({ entry, release }) => {
+    const { url, path: publicPath } = describeRelease(release, downloadDir, baseUrl);
+    return `  <entry>
+    <id>urn:sha256:${escapeXml(release.sha256)}</id>
+    <title>${escapeXml(`${entry.displayName} ${release.version}`)}</title>
+    <updated>${escapeXml(release.downloadedAt)}</updated>
+    <category term="${escapeXml(`${entry.appType}:${entry.artifactKey || entry.category}`)}"/>
+    <link rel="enclosure" href="${escapeXml(url)}" length="${escapeXml(release.fileSize)}"/>
+    <summary>${escapeXml(`${release.fileName} (${publicPath}), SHA-256 ${release.sha256}`)}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedId)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>BMW ISTA Downloader</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
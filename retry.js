@@ -0,0 +1,70 @@
+// Retry limits per operation, delays in seconds. Override via the "retry" section of config.json
+const DEFAULT_POLICIES = {
+  navigation: { attempts: 3, baseDelay: 10, maxDelay: 120 },
+  scrape: { attempts: 2, baseDelay: 15, maxDelay: 60 },
+  download: { attempts: 5, baseDelay: 5, maxDelay: 300 }
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
+
+export function getRetryPolicy(config = {}, operation) {
+  const policy = { ...DEFAULT_POLICIES[operation], ...config.retry?.[operation] };
+
+  // Older .env files configure the download attempts directly
+  if (operation === 'download' && !config.retry?.download?.attempts && process.env.DOWNLOAD_RESUME_ATTEMPTS) {
+    policy.attempts = parseInt(process.env.DOWNLOAD_RESUME_ATTEMPTS) || policy.attempts;
+  }
+
+  return policy;
+}
+
+// Exponential backoff with +-20% jitter, in milliseconds
+export function getRetryDelay(policy, attempt) {
+  const seconds = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+}
+
+// Maps an error to what the caller should do next: retry, relogin, refresh_link or give_up
+export function classifyError(error) {
+  if (error.name === 'SessionExpiredError') {
+    return { action: 'relogin', kind: 'auth' };
+  }
+  if (error.name === 'LinkExpiredError') {
+    return { action: 'refresh_link', kind: 'link_expired' };
+  }
+  if (error.name === 'InsufficientDiskSpaceError' || error.code === 'ENOSPC') {
+    return { action: 'give_up', kind: 'disk_space' };
+  }
+
+  const status = error.status ?? error.response?.status;
+  if (status === 401) {
+    return { action: 'relogin', kind: 'auth' };
+  }
+  if (status === 404 || status === 410) {
+    return { action: 'give_up', kind: 'not_found' };
+  }
+  if (status === 408 || status === 429 || status >= 500) {
+    return { action: 'retry', kind: 'server' };
+  }
+  if (status >= 400) {
+    return { action: 'give_up', kind: 'client' };
+  }
+
+  if (NETWORK_ERROR_CODES.has(error.code) || error.name === 'TimeoutError' || /net::ERR_/.test(error.message)) {
+    return { action: 'retry', kind: 'network' };
+  }
+
+  // Truncated transfers, broken payloads, empty pages: worth another try
+  return { action: 'retry', kind: 'unknown' };
+}
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import { randomBytes } from 'crypto';
+
+// One JSON record per check cycle and line, lines are only ever appended
+export const RUN_HISTORY_FILE = 'runs.jsonl';
+
+// Sortable and short enough to type: 20261019T120000Z-3f9a1c
+export function createRunId(date = new Date()) {
+  const timestamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  return `${timestamp}-${randomBytes(3).toString('hex')}`;
+}
+
+export async function appendRun(filePath, run) {
+  await fs.appendFile(filePath, `${JSON.stringify(run)}\n`);
+}
+
+function parseSince(since) {
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && isNaN(sinceDate)) {
+    throw new Error(`Ungültiges Datum: ${since}`);
+  }
+  return sinceDate;
+}
+
+export async function readRuns(filePath, { since } = {}) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const sinceDate = parseSince(since);
+
+  const runs = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    // A crash in the middle of a write leaves a truncated last line, the records before it are fine
+    try {
+      const run = JSON.parse(line);
+      if (!sinceDate || new Date(run.startedAt) >= sinceDate) {
+        runs.push(run);
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return runs;
+}
+
+// When each version was scraped from the portal for the first and the last time. Pass the whole
+// history, "since" only drops versions not seen after that date
+export function findFirstSeen(runs, { since } = {}) {
+  const sinceDate = parseSince(since);
+  const versions = new Map();
+
+  for (const run of runs) {
+    for (const [appType, application] of Object.entries(run.applications || {})) {
+      for (const item of application.scraped || []) {
+        const key = `${appType}:${item.category}:${item.variant || ''}:${item.version}`;
+        const seen = versions.get(key);
+        if (seen) {
+          seen.lastSeenAt = run.startedAt;
+          seen.seenCount++;
+        } else {
+          versions.set(key, {
+            appType,
+            category: item.category,
+            ...(item.variant ? { variant: item.variant } : {}),
+            version: item.version,
+            firstSeenAt: run.startedAt,
+            firstRunId: run.id,
+            lastSeenAt: run.startedAt,
+            seenCount: 1
+          });
+        }
+      }
+    }
+  }
+
+  return [...versions.values()].filter(seen => !sinceDate || new Date(seen.lastSeenAt) >= sinceDate);
+}
@@ -0,0 +1,182 @@
+import cron from 'node-cron';
+
+const MINUTE = 60 * 1000;
+
+// Seconds first, like node-cron, five-field expressions run at second 0
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const dateFormats = new Map();
+
+// Cron expressions used here fire at most once a minute, a month covers any sensible schedule
+const SEARCH_LIMIT_MINUTES = 31 * 24 * 60;
+
+// "January", "jan" and "Mon" become numbers, Sunday may be written as 7
+function parseCronField(value, { min, max, names, offset }) {
+  const numeric = names
+    ? value.toLowerCase().replace(/[a-z]+/g, name => {
+      const index = names.indexOf(name.slice(0, 3));
+      return index === -1 ? name : String(index + offset);
+    })
+    : value;
+
+  const values = new Set();
+  for (const part of numeric.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      return null;
+    }
+    const from = match[1] === '*' ? min : parseInt(match[2]);
+    const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3]) : from;
+    const step = match[4] !== undefined ? parseInt(match[4]) : null;
+    if (from < min || to > max || from > to || step === 0) {
+      return null;
+    }
+    // node-cron keeps the values divisible by the step, not every n-th one from the start of the range
+    for (let number = from; number <= to; number++) {
+      if (step === null || number % step === 0) {
+        values.add(max === 7 && number === 7 ? 0 : number);
+      }
+    }
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  const fields = parts.length === 5 ? ['0', ...parts] : parts;
+  const parsed = fields.length === 6 ? fields.map((field, index) => parseCronField(field, CRON_FIELDS[index])) : [];
+
+  if (parsed.length !== 6 || parsed.includes(null)) {
+    throw new Error(`Ungültiger Cron-Ausdruck: ${expression}`);
+  }
+  return parsed;
+}
+
+export function validateCron(expression) {
+  if (!cron.validate(expression)) {
+    throw new Error(`Ungültiger Cron-Ausdruck: ${expression}`);
+  }
+  parseCron(expression);
+}
+
+// Wall clock of the date in the time zone, or in the local one without
+function getDateParts(date, timezone) {
+  if (!timezone) {
+    return {
+      second: date.getSeconds(),
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay()
+    };
+  }
+
+  if (!dateFormats.has(timezone)) {
+    dateFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+      timeZone: timezone
+    }));
+  }
+  const parts = Object.fromEntries(dateFormats.get(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    second: Number(parts.second),
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Every field has to match, node-cron does not treat day of month and weekday as alternatives
+function matchesCron(fields, date, timezone) {
+  const { second, minute, hour, day, month, weekday } = getDateParts(date, timezone);
+  return [second, minute, hour, day, month, weekday].every((value, index) => fields[index].has(value));
+}
+
+function findRun(expression, from, timezone, direction) {
+  const fields = parseCron(expression);
+  const date = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE);
+
+  for (let i = 0; i < SEARCH_LIMIT_MINUTES; i++) {
+    date.setTime(date.getTime() + direction * MINUTE);
+    if (matchesCron(fields, date, timezone)) {
+      return new Date(date);
+    }
+  }
+
+  return null;
+}
+
+export function findPreviousRun(expression, before = new Date(), timezone) {
+  return findRun(expression, before, timezone, -1);
+}
+
+export function findNextRun(expression, after = new Date(), timezone) {
+  return findRun(expression, after, timezone, 1);
+}
+
+// "22:00-06:00" -> minutes since midnight, windows may wrap around midnight
+export function parseWindow(window) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(window);
+  if (!match) {
+    throw new Error(`Ungültiges Download-Fenster: ${window} (erwartet z.B. 22:00-06:00)`);
+  }
+
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  return {
+    label: window,
+    start: startHour * 60 + startMinute,
+    end: endHour * 60 + endMinute
+  };
+}
+
+function minutesOfDay(date, timezone) {
+  const { hour, minute } = getDateParts(date, timezone);
+  return hour * 60 + minute;
+}
+
+export function isInWindows(windows, date = new Date(), timezone) {
+  if (windows.length === 0) {
+    return true; // No restriction configured
+  }
+
+  const minutes = minutesOfDay(date, timezone);
+  return windows.some(({ start, end }) => start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end);
+}
+
+// Applications never checked, or whose last check is older than the latest run their schedule asked for
+export function findMissedChecks(schedules, lastChecks, now = new Date(), timezone) {
+  return Object.entries(schedules)
+    .filter(([appType, expression]) => {
+      const lastCheck = lastChecks[appType];
+      const previousRun = findPreviousRun(expression, now, timezone);
+      return !lastCheck || (previousRun && new Date(lastCheck) < previousRun);
+    })
+    .map(([appType]) => appType);
+}
+
+export function windowStartExpression({ start }) {
+  return `${start % 60} ${Math.floor(start / 60)} * * *`;
+}
+
+export function scheduleTask(expression, task, timezone) {
+  return cron.schedule(expression, task, timezone ? { timezone } : undefined);
+}
@@ -0,0 +1,46 @@
+// What to mirror, from the "sync" section of the config, keyed "app:category", "app:*" or "*" like the hooks
+export const SYNC_MODES = ['download', 'notify'];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  mode: 'download',
+  pin: null,
+  maxSizeMB: null
+};
+
+export function getSyncPolicy(config = {}, appType, category) {
+  const sync = config.sync || {};
+  const location = `${appType}:${category}`;
+
+  // A version only means something for a single category
+  for (const key of ['*', `${appType}:*`]) {
+    if (sync[key]?.pin !== undefined) {
+      throw new Error(`Sync-Richtlinie ${key}: "pin" ist nur für einzelne Kategorien erlaubt`);
+    }
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...sync['*'], ...sync[`${appType}:*`], ...sync[location] };
+
+  if (!SYNC_MODES.includes(policy.mode)) {
+    throw new Error(`Unbekannter Sync-Modus für ${location}: ${policy.mode}`);
+  }
+  if (policy.maxSizeMB !== null && !(policy.maxSizeMB > 0)) {
+    throw new Error(`Sync-Richtlinie ${location}: "maxSizeMB" muss eine positive Zahl sein`);
+  }
+  if (policy.pin !== null) {
+    policy.pin = String(policy.pin);
+  }
+
+  return policy;
+}
+
+// Why a new version stays on the portal: 'notify_only', 'too_large' or null to fetch it
+export function getHoldReason(policy, size) {
+  if (policy.mode === 'notify') {
+    return 'notify_only';
+  }
+  if (policy.maxSizeMB && size > policy.maxSizeMB * 1024 * 1024) {
+    return 'too_large';
+  }
+  return null;
+}
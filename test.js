@@ -0,0 +1,1056 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { chromium } from 'playwright';
+import { startMockPortal, MOCK_FILES } from './mock-portal.js';
+import { DownloadQueue, BandwidthLimiter } from './download-queue.js';
+import { classifyError } from './retry.js';
+import { parseWindow, isInWindows, findPreviousRun, findNextRun, findMissedChecks, validateCron } from './scheduler.js';
+import { loadProfiles } from './profiles.js';
+import { startFileServer } from './file-server.js';
+import { appendRun, readRuns, findFirstSeen } from './run-history.js';
+import { generateTotp } from './totp.js';
+import { Diagnostics, redactTrace } from './diagnostics.js';
+import { runHooks } from './hooks.js';
+import { buildZip, readZip } from './zip.js';
+import axios from 'axios';
+
+// Keep the test output readable, DEBUG=true shows the downloader log again
+const { BMWISTADownloader, LoginError, SessionExpiredError, LinkExpiredError, HttpStatusError, logger } = await import('./index.js');
+logger.silent = process.env.DEBUG !== 'true';
+
+const hasBrowser = existsSync(chromium.executablePath());
+const browserSkip = hasBrowser ? false : 'Chromium ist nicht installiert (npx playwright install chromium)';
+
+let portal;
+let workDir;
+
+async function createDownloader(overrides = {}, config = {}) {
+  const downloadDir = await fs.mkdtemp(path.join(workDir, 'downloads-'));
+  Object.assign(process.env, {
+    BMW_AUTH_URL: portal.authUrl,
+    BMW_ISTA_P_URL: portal.istaPUrl,
+    BMW_ISTA_NEXT_URL: portal.istaNextUrl,
+    BMW_USERNAME: portal.username,
+    BMW_PASSWORD: portal.password,
+    DOWNLOAD_DIR: downloadDir,
+    SESSION_FILE: path.join(downloadDir, 'session-state.json'),
+    HEADLESS: 'true',
+    ...overrides
+  });
+  return new BMWISTADownloader({ config });
+}
+
+// Lets downloadFile talk to the mock without starting a browser
+function fakeContext(cookies) {
+  return { cookies: async () => cookies };
+}
+
+before(async () => {
+  portal = await startMockPortal();
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ista-test-'));
+  process.env.CONFIG_FILE = path.join(workDir, 'missing-config.json');
+});
+
+after(async () => {
+  await portal.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+describe('categorizeDownloads', () => {
+  test('sorts ISTA-Next links into their categories', async () => {
+    const downloader = await createDownloader();
+    const links = [
+      { title: 'ISTA Programmierdaten', url: portal.downloadLink('ista-next/ISTAOSS_ProgrammingData_4.53.30.zip') },
+      { title: 'Installationsdatei ISTA Client', url: portal.downloadLink('ista-next/ISTAOSS_4.53.30.exe') },
+      { title: 'ICOM Next Firmware', url: portal.downloadLink('ista-next/ICOM-Next-FW-04-25-10.bin') },
+      { title: 'BMW PTD-Treiber', url: portal.downloadLink('ista-next/BMW_PTD_Driver_2.5.1.exe') },
+      { title: 'Impressum', url: 'https://aos.bmwgroup.com/imprint' }
+    ];
+
+    const unrecognised = [];
+    const categorized = downloader.categorizeDownloads(links, 'ista-next', unrecognised);
+
+    assert.deepEqual(Object.keys(categorized).sort(), ['client', 'icom_firmware', 'programming_data', 'ptd_driver']);
+    assert.deepEqual(unrecognised.map(link => link.title), ['Impressum']);
+    assert.equal(categorized.programming_data.version, '4.53.30');
+    assert.equal(categorized.icom_firmware.version, '04-25-10');
+    assert.equal(categorized.ptd_driver.displayName, 'BMW PTD-Treiber');
+  });
+
+  test('matches programming data by URL regardless of case', async () => {
+    const downloader = await createDownloader();
+    const categorized = downloader.categorizeDownloads([
+      { title: 'Download', url: 'https://example.com/ISTAOSS_ProgrammingData_4.54.10.zip' }
+    ], 'ista-next');
+
+    assert.equal(categorized.programming_data?.version, '4.54.10');
+  });
+
+  test('keeps only the first link per ISTA-P category', async () => {
+    const downloader = await createDownloader();
+    const categorized = downloader.categorizeDownloads([
+      { title: 'Installationsprogramm ISTA/P', url: 'https://example.com/ISTAOSS_3.74.0.930.exe' },
+      { title: 'Installationsprogramm ISTA/P (alt)', url: 'https://example.com/ISTAOSS_3.73.0.900.exe' },
+      { title: 'Datenarchiv ISTA/P', url: 'https://example.com/ISTA-P_CommonDat_3.74.0.930.istapdata' }
+    ], 'ista-p');
+
+    assert.equal(categorized.installer.version, '3.74.0.930');
+    assert.equal(categorized.data_archive.version, '3.74.0.930');
+  });
+
+  test('keeps every variant of a list category that passes its filters', async () => {
+    const downloader = await createDownloader({}, {
+      applications: {
+        'ista-p': {
+          url: portal.istaPUrl,
+          categories: [{
+            id: 'data_archive',
+            displayName: 'Datenarchiv ISTA/P',
+            multiple: true,
+            filters: { language: ['de', 'en'], part: 'part[12]' },
+            rules: [{ url: 'commondat' }]
+          }]
+        }
+      }
+    });
+    const categorized = downloader.categorizeDownloads([
+      { title: 'Datenarchiv Teil 1', url: 'https://example.com/ISTA-P_CommonDat_DE_3.74.0.930_part1.istapdata' },
+      { title: 'Datenarchiv Teil 2', url: 'https://example.com/ISTA-P_CommonDat_DE_3.74.0.930_part2.istapdata' },
+      { title: 'Datenarchiv Teil 3', url: 'https://example.com/ISTA-P_CommonDat_DE_3.74.0.930_part3.istapdata' },
+      { title: 'Datenarchiv französisch', url: 'https://example.com/ISTA-P_CommonDat_FR_3.74.0.930_part1.istapdata' }
+    ], 'ista-p');
+
+    assert.deepEqual(Object.keys(categorized).sort(), [
+      'data_archive:ista-p-commondat-de-part1',
+      'data_archive:ista-p-commondat-de-part2'
+    ]);
+    const second = categorized['data_archive:ista-p-commondat-de-part2'];
+    assert.equal(second.category, 'data_archive');
+    assert.equal(second.version, '3.74.0.930');
+    assert.equal(downloader.getMetadataKey(second), 'ista-p_data_archive:ista-p-commondat-de-part2');
+  });
+});
+
+describe('scrapeDownloadLinks', () => {
+  test('searches every frame and resolves downloads started by a click', async () => {
+    const downloader = await createDownloader();
+    const mainFrame = {
+      url: () => 'https://aos.example.com/applications/ista-p',
+      evaluate: async () => ({ links: [], triggers: [] })
+    };
+    const crossOriginFrame = {
+      url: () => 'https://frontend.example.com/frames/ista-p',
+      evaluate: async (collect, frameLabel) => ({
+        links: [{ title: 'Installationsprogramm ISTA/P', url: portal.downloadLink('ista-p/ISTAOSS_3.74.0.930.exe'), method: `link_search_${frameLabel}` }],
+        triggers: [{ id: 0, title: 'Datenarchiv ISTA/P' }, { id: 1, title: 'Sonstiges' }]
+      }),
+      locator: selector => ({ click: async () => { clicked.push(selector); } })
+    };
+    const detachedFrame = {
+      url: () => 'about:blank',
+      evaluate: async () => { throw new Error('Frame was detached'); }
+    };
+    const clicked = [];
+    let cancelled = 0;
+
+    downloader.page = {
+      frames: () => [mainFrame, crossOriginFrame, detachedFrame],
+      mainFrame: () => mainFrame,
+      waitForFunction: async () => {},
+      // Only the first button starts a download, the second one does nothing
+      waitForEvent: async () => {
+        if (clicked.length > 0) {
+          throw new Error('Timeout 15000ms exceeded');
+        }
+        return {
+          url: () => 'https://s3.example.com/bucket/data?X-Amz-Signature=abc',
+          suggestedFilename: () => 'ISTA-P_CommonDat_3.74.0.930.istapdata',
+          cancel: async () => { cancelled++; }
+        };
+      }
+    };
+
+    const downloads = await downloader.scrapeDownloadLinks();
+    assert.deepEqual(downloads.map(download => download.method), ['link_search_frame_1', 'click_download_frame_1']);
+    assert.equal(cancelled, 1);
+
+    const categorized = downloader.categorizeDownloads(downloads, 'ista-p');
+    assert.equal(categorized.data_archive.fileName, 'ISTA-P_CommonDat_3.74.0.930.istapdata');
+    assert.equal(categorized.data_archive.version, '3.74.0.930');
+  });
+});
+
+describe('sync policy', () => {
+  test('holds back versions newer than the pin and reports them once', async () => {
+    const downloader = await createDownloader({}, {
+      sync: {
+        'ista-next:client': { pin: '4.53.30' },
+        'ista-next:icom_firmware': { mode: 'notify' },
+        'ista-next:programming_data': { enabled: false }
+      }
+    });
+    await fs.mkdir(downloader.downloadDir, { recursive: true });
+    downloader.metadata['ista-next_client'] = { version: '4.53.30' };
+    const notified = [];
+    downloader.notifier.notify = async (event, data) => notified.push({ event, data });
+    downloader.navigateToApplication = async () => true;
+    downloader.findDownloads = async () => downloader.categorizeDownloads([
+      { title: 'ISTA Programmierdaten', url: portal.downloadLink('ista-next/ISTAOSS_ProgrammingData_4.54.10.zip') },
+      { title: 'Installationsdatei ISTA Client', url: portal.downloadLink('ista-next/ISTAOSS_4.54.10.exe') },
+      { title: 'ICOM Next Firmware', url: portal.downloadLink('ista-next/ICOM-Next-FW-04-25-10.bin') },
+      { title: 'BMW PTD-Treiber', url: portal.downloadLink('ista-next/BMW_PTD_Driver_2.5.1.exe') }
+    ], 'ista-next');
+
+    const first = await downloader.findApplicationUpdates('ista-next');
+    assert.deepEqual(first.updates.map(update => update.category), ['ptd_driver']);
+    assert.deepEqual(Object.fromEntries(first.decisions.map(decision => [decision.category, decision.held || null])), {
+      programming_data: 'disabled',
+      client: 'pinned',
+      icom_firmware: 'notify_only',
+      ptd_driver: null
+    });
+    assert.equal(downloader.heldVersions['ista-next_client'].version, '4.54.10');
+
+    await downloader.findApplicationUpdates('ista-next');
+    const held = notified.filter(({ data }) => data.held).map(({ data }) => data.held).sort();
+    assert.deepEqual(held, ['notify_only', 'pinned']);
+  });
+
+  test('rejects a pin that is not tied to one category', async () => {
+    await assert.rejects(
+      async () => createDownloader({}, { sync: { 'ista-next:*': { pin: '4.53.30' } } }),
+      /nur für einzelne Kategorien/
+    );
+  });
+});
+
+describe('dry run', () => {
+  test('leaves schedule, scrape health and held versions untouched', async () => {
+    const downloader = await createDownloader({}, { sync: { 'ista-next:client': { mode: 'notify' } } });
+    downloader.dryRun = true;
+    await fs.mkdir(downloader.downloadDir, { recursive: true });
+    await downloader.loadScheduleState();
+    downloader.notifier.notify = async () => {};
+    downloader.isLoggedIn = true;
+    downloader.navigateToApplication = async () => true;
+    downloader.findDownloads = async () => downloader.categorizeDownloads([
+      { title: 'Installationsdatei ISTA Client', url: portal.downloadLink('ista-next/ISTAOSS_4.53.30.exe') }
+    ], 'ista-next');
+
+    const result = await downloader.checkForUpdates(['ista-next']);
+    assert.equal(result.failCount, 0);
+    assert.equal(downloader.heldVersions['ista-next_client'].reason, 'notify_only');
+    for (const file of ['schedule-state.json', 'scrape-health.json', 'held-versions.json']) {
+      await assert.rejects(fs.access(path.join(downloader.downloadDir, file)), `${file} geschrieben`);
+    }
+  });
+});
+
+describe('scrape health', () => {
+  test('escalates categories missing from consecutive checks and recovers', async () => {
+    const downloader = await createDownloader();
+    const notified = [];
+    downloader.notifier.notify = async (event, data) => notified.push({ event, data });
+
+    const complete = { installer: {}, data_archive: {} };
+    const installerOnly = { installer: {} };
+    const unrecognised = [{ title: 'Datenarchiv ISTA/P (neu)', fileName: 'ISTA-P_Data_3.75.zip' }];
+
+    assert.equal((await downloader.recordScrapeHealth('ista-p', complete, [])).status, 'ok');
+    assert.equal((await downloader.recordScrapeHealth('ista-p', installerOnly, unrecognised)).status, 'degraded');
+
+    const drift = await downloader.recordScrapeHealth('ista-p', installerOnly, unrecognised);
+    assert.equal(drift.status, 'drift');
+    assert.deepEqual(drift.missing, ['data_archive']);
+    await downloader.recordScrapeHealth('ista-p', installerOnly, unrecognised);
+    assert.deepEqual(notified.map(({ event }) => event), ['portal_drift']);
+
+    // Survives a restart
+    const restarted = await createDownloader({ DOWNLOAD_DIR: downloader.downloadDir });
+    await restarted.loadScrapeHealth();
+    assert.equal(restarted.scrapeHealth['ista-p'].consecutiveMissing, 3);
+
+    const recovered = await restarted.recordScrapeHealth('ista-p', complete, []);
+    assert.equal(recovered.status, 'ok');
+    assert.equal(recovered.consecutiveMissing, 0);
+  });
+
+  test('counts a category as found when the filters dropped all of its variants', async () => {
+    const downloader = await createDownloader({}, {
+      applications: {
+        'ista-p': {
+          url: portal.istaPUrl,
+          categories: [
+            { id: 'installer', rules: [{ url: 'istaoss' }] },
+            { id: 'data_archive', multiple: true, filters: { language: 'de' }, rules: [{ url: 'commondat' }] }
+          ]
+        }
+      }
+    });
+    await fs.mkdir(downloader.downloadDir, { recursive: true });
+    const matched = new Set();
+    const categorized = downloader.categorizeDownloads([
+      { title: 'Installationsprogramm ISTA/P', url: 'https://example.com/ISTAOSS_3.74.0.930.exe' },
+      { title: 'Datenarchiv englisch', url: 'https://example.com/ISTA-P_CommonDat_EN_3.74.0.930.istapdata' }
+    ], 'ista-p', [], matched);
+
+    assert.deepEqual(Object.keys(categorized), ['installer']);
+    for (let check = 0; check < 3; check++) {
+      const health = await downloader.recordScrapeHealth('ista-p', categorized, [], [...matched]);
+      assert.equal(health.status, 'ok');
+    }
+  });
+});
+
+describe('version comparison', () => {
+  test('orders dotted, four-part and dashed firmware versions within their format only', async () => {
+    const downloader = await createDownloader();
+    assert.equal(downloader.compareVersions('4.53.30', '4.53.4'), 1);
+    assert.equal(downloader.compareVersions('3.74.0.930', '3.74.0.1000'), -1);
+    assert.equal(downloader.compareVersions('3.74.0', '3.74.0.0'), 0);
+    assert.equal(downloader.compareVersions('04-25-10', '04-26-01'), -1);
+    assert.equal(downloader.compareVersions('04-25-10', '4.53.30'), null);
+    assert.equal(downloader.compareVersions('unknown', '4.53.30'), null);
+
+    assert.equal(downloader.getDownloadVersion({ url: 'https://example.com/ISTA-P_CommonDat_3.74.0.930.istapdata' }), '3.74.0.930');
+    assert.equal(downloader.getDownloadVersion({ url: 'https://10.0.0.1/x', fileName: 'ICOM-Next-FW-04-25-10.bin' }), '04-25-10');
+  });
+
+  test('ignores rollbacks unless FOLLOW_ROLLBACKS is set and refetches corrupted copies', async () => {
+    const downloader = await createDownloader();
+    downloader.metadata['ista-next_client'] = { version: '4.53.30' };
+
+    assert.equal(await downloader.isNewVersion('ista-next', 'programming_data', '4.53.30'), true);
+    assert.equal(await downloader.isNewVersion('ista-next', 'client', '4.54.10'), true);
+    assert.equal(await downloader.isNewVersion('ista-next', 'client', '4.53.30'), false);
+    assert.equal(await downloader.isNewVersion('ista-next', 'client', '4.52.0'), false);
+
+    process.env.FOLLOW_ROLLBACKS = 'true';
+    try {
+      assert.equal(await downloader.isNewVersion('ista-next', 'client', '4.52.0'), true);
+    } finally {
+      delete process.env.FOLLOW_ROLLBACKS;
+    }
+
+    downloader.metadata['ista-next_client'].integrity = 'corrupted';
+    assert.equal(await downloader.isNewVersion('ista-next', 'client', '4.53.30'), true);
+  });
+
+  test('decides on unversioned artifacts by file name, ETag, Last-Modified and size', async () => {
+    const downloader = await createDownloader();
+    const download = { displayName: 'Treiber', url: 'https://example.com/driver', fileName: 'driver.exe', version: 'unknown' };
+    let remote = null;
+    downloader.probeDownload = async () => remote;
+    const check = previous => {
+      downloader.metadata.app_driver = { version: 'unknown', fileName: 'driver.exe', ...previous };
+      return downloader.isNewVersion('app', 'driver', 'unknown', download);
+    };
+
+    assert.equal(await check({ fileName: 'driver-old.exe' }), true);
+    // Nothing to compare against, keep what we have
+    assert.equal(await check({ etag: '"a"' }), false);
+
+    remote = { etag: '"a"', lastModified: null, contentLength: 100 };
+    assert.equal(await check({ etag: '"a"', fileSize: 50 }), false);
+    assert.equal(await check({ etag: '"b"' }), true);
+
+    remote = { etag: null, lastModified: 'Mon, 19 Oct 2026 08:00:00 GMT', contentLength: 100 };
+    assert.equal(await check({ lastModified: 'Mon, 19 Oct 2026 08:00:00 GMT' }), false);
+    assert.equal(await check({ lastModified: 'Sun, 18 Oct 2026 08:00:00 GMT' }), true);
+
+    remote = { etag: null, lastModified: null, contentLength: 100 };
+    assert.equal(await check({ fileSize: 100 }), false);
+    assert.equal(await check({ fileSize: 90 }), true);
+  });
+});
+
+describe('retention', () => {
+  // Ages are in days, 4.55.0 is the current file and 4.50.0 is pinned
+  async function prune(env, ages, published = {}) {
+    const downloader = await createDownloader(env, { sync: { 'ista-next:client': { pin: '4.50.0' } } });
+    const history = [];
+    for (const [version, age] of Object.entries(ages)) {
+      const filePath = path.join(downloader.downloadDir, 'ista-next', version, `ISTA_${version}.exe`);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, version);
+      history.push({ version, fileName: path.basename(filePath), filePath, downloadedAt: new Date(Date.now() - age * 24 * 60 * 60 * 1000).toISOString() });
+    }
+    downloader.metadata['ista-next_client'] = {
+      appType: 'ista-next', category: 'client', displayName: 'ISTA Client',
+      version: '4.55.0', filePath: history.find(release => release.version === '4.55.0').filePath, history
+    };
+
+    try {
+      await downloader.pruneReleases('ista-next', published);
+    } finally {
+      delete process.env.RETENTION_KEEP_VERSIONS;
+      delete process.env.RETENTION_KEEP_DAYS;
+    }
+
+    const saved = JSON.parse(await fs.readFile(path.join(downloader.downloadDir, 'metadata.json'), 'utf-8'));
+    const kept = saved['ista-next_client'].history.map(release => release.version).sort();
+    for (const release of history) {
+      // Pruned releases take their emptied version folder with them
+      const exists = await fs.access(path.dirname(release.filePath)).then(() => true, () => false);
+      assert.equal(exists, kept.includes(release.version), release.version);
+    }
+    return kept;
+  }
+
+  test('keeps the newest releases by count, plus the current, published and pinned ones', async () => {
+    const kept = await prune(
+      { RETENTION_KEEP_VERSIONS: '2' },
+      { '4.55.0': 300, '4.54.0': 100, '4.53.0': 110, '4.52.0': 200, '4.51.0': 250, '4.50.0': 400 },
+      { client: { version: '4.52.0' } }
+    );
+    assert.deepEqual(kept, ['4.50.0', '4.52.0', '4.53.0', '4.54.0', '4.55.0']);
+  });
+
+  test('keeps releases by age', async () => {
+    const kept = await prune(
+      { RETENTION_KEEP_DAYS: '30' },
+      { '4.55.0': 300, '4.54.0': 5, '4.53.0': 29, '4.52.0': 31, '4.50.0': 400 }
+    );
+    assert.deepEqual(kept, ['4.50.0', '4.53.0', '4.54.0', '4.55.0']);
+  });
+
+  test('keeps everything without a retention policy', async () => {
+    const downloader = await createDownloader();
+    downloader.metadata['ista-next_client'] = { appType: 'ista-next', category: 'client', history: [{ version: '4.51.0', filePath: '/nonexistent' }] };
+    await downloader.pruneReleases('ista-next', {});
+    assert.equal(downloader.metadata['ista-next_client'].history.length, 1);
+  });
+});
+
+describe('extractCleanFilename', () => {
+  test('takes the file name from the key of a download API link', async () => {
+    const downloader = await createDownloader();
+    const url = 'https://aos.bmwgroup.com/api/v2/downloads?key=ista-next%2FISTAOSS_4.53.30.exe&signed=true';
+    assert.equal(downloader.extractCleanFilename(url), 'ISTAOSS_4.53.30.exe');
+  });
+
+  test('strips query parameters from presigned S3 links', async () => {
+    const downloader = await createDownloader();
+    const url = 'https://bucket.s3.eu-central-1.amazonaws.com/ista/ICOM-Next-FW-04-25-10.bin?X-Amz-Expires=300&X-Amz-Signature=abc';
+    assert.equal(downloader.extractCleanFilename(url), 'ICOM-Next-FW-04-25-10.bin');
+  });
+
+  test('rejects generic names', async () => {
+    const downloader = await createDownloader();
+    assert.equal(downloader.extractCleanFilename('https://example.com/files/download?id=1'), null);
+  });
+});
+
+describe('downloadFile', () => {
+  test('follows the download API to the file host and records the checksum', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    const key = 'ista-next/BMW_PTD_Driver_2.5.1.exe';
+
+    const success = await downloader.downloadFile({
+      title: 'BMW PTD-Treiber',
+      url: portal.downloadLink(key),
+      appType: 'ista-next',
+      category: 'ptd_driver',
+      displayName: 'BMW PTD-Treiber',
+      version: '2.5.1'
+    });
+
+    assert.equal(success, true);
+    const entry = downloader.metadata['ista-next_ptd_driver'];
+    assert.equal(entry.fileName, 'BMW_PTD_Driver_2.5.1.exe');
+    assert.equal(entry.sha256, createHash('sha256').update(MOCK_FILES[key]).digest('hex'));
+    assert.deepEqual(await fs.readFile(entry.filePath), MOCK_FILES[key]);
+  });
+
+  test('resumes an interrupted transfer', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    const key = 'ista-next/ISTAOSS_ProgrammingData_4.53.30.zip';
+    portal.state.interruptNextAt = 32 * 1024;
+    portal.state.fileRanges = [];
+
+    const success = await downloader.downloadFile({
+      title: 'ISTA Programmierdaten',
+      url: portal.downloadLink(key),
+      appType: 'ista-next',
+      category: 'programming_data',
+      displayName: 'ISTA Programmierdaten',
+      version: '4.53.30'
+    });
+
+    assert.equal(success, true);
+    const entry = downloader.metadata['ista-next_programming_data'];
+    assert.deepEqual(await fs.readFile(entry.filePath), MOCK_FILES[key]);
+    await assert.rejects(fs.access(`${entry.filePath}.part`));
+    // Size probe, the cut transfer and its continuation from the first missing byte
+    assert.equal(portal.state.interruptNextAt, null);
+    assert.ok(portal.state.fileRanges.includes(`bytes=${32 * 1024}-`), portal.state.fileRanges.join(', '));
+  });
+
+  test('resumes a click-found download although its link was signed anew', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    const key = 'ista-p/ISTA-P_CommonDat_3.74.0.930.istapdata';
+    const download = {
+      title: 'Datenarchiv ISTA/P',
+      url: portal.fileLink(key, 'neu'),
+      fileName: 'ISTA-P_CommonDat_3.74.0.930.istapdata',
+      appType: 'ista-p',
+      category: 'data_archive',
+      displayName: 'Datenarchiv ISTA/P',
+      version: '3.74.0.930'
+    };
+
+    // Left behind by the previous cycle with the signature of that scrape
+    const partPath = path.join(downloader.getReleaseDir(download), `${download.fileName}.part`);
+    await fs.mkdir(path.dirname(partPath), { recursive: true });
+    await fs.writeFile(partPath, MOCK_FILES[key].subarray(0, 10000));
+    await fs.writeFile(`${partPath}.json`, JSON.stringify({
+      url: portal.fileLink(key, 'alt'),
+      etag: `"${createHash('md5').update(MOCK_FILES[key]).digest('hex')}"`,
+      totalBytes: MOCK_FILES[key].length
+    }));
+    portal.state.fileRanges = [];
+
+    assert.equal(await downloader.downloadFile(download), true);
+    assert.deepEqual(await fs.readFile(downloader.metadata['ista-p_data_archive'].filePath), MOCK_FILES[key]);
+    assert.deepEqual(portal.state.fileRanges, ['bytes=10000-']);
+  });
+
+  test('skips the artifact when the disk is too full and keeps the existing copy', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    downloader.diskReserveBytes = Number.MAX_SAFE_INTEGER;
+    const key = 'ista-next/BMW_PTD_Driver_2.5.1.exe';
+    const download = {
+      title: 'BMW PTD-Treiber',
+      url: portal.downloadLink(key),
+      appType: 'ista-next',
+      category: 'ptd_driver',
+      displayName: 'BMW PTD-Treiber',
+      version: '2.5.1'
+    };
+    const filePath = path.join(downloader.getReleaseDir(download), 'BMW_PTD_Driver_2.5.1.exe');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, 'alte Kopie');
+
+    assert.equal(await downloader.downloadFile(download), false);
+    assert.equal(await fs.readFile(filePath, 'utf-8'), 'alte Kopie');
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['BMW_PTD_Driver_2.5.1.exe']);
+    assert.equal(downloader.attemptLog['download:ista-next_ptd_driver'].attempts[0].kind, 'disk_space');
+  });
+
+  test('runs post-download hooks without touching the download on failure', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    const deployDir = path.join(workDir, 'deploy');
+    const envFile = path.join(workDir, 'hook-env.txt');
+    downloader.config.hooks = {
+      'ista-next:ptd_driver': [
+        { type: 'copy', targets: [deployDir] },
+        { type: 'command', command: `node -e "require('fs').writeFileSync(process.argv[1], process.env.ISTA_VERSION); process.exit(3)" "${envFile}"` }
+      ]
+    };
+    const key = 'ista-next/BMW_PTD_Driver_2.5.1.exe';
+
+    const success = await downloader.downloadFile({
+      title: 'BMW PTD-Treiber',
+      url: portal.downloadLink(key),
+      appType: 'ista-next',
+      category: 'ptd_driver',
+      displayName: 'BMW PTD-Treiber',
+      version: '2.5.1'
+    });
+
+    assert.equal(success, true);
+    const entry = downloader.metadata['ista-next_ptd_driver'];
+    assert.deepEqual(await fs.readFile(path.join(deployDir, 'BMW_PTD_Driver_2.5.1.exe')), MOCK_FILES[key]);
+    assert.equal(await fs.readFile(envFile, 'utf-8'), '2.5.1');
+    assert.deepEqual(entry.hooks.map(result => result.ok), [true, false]);
+    assert.equal(entry.sha256, createHash('sha256').update(MOCK_FILES[key]).digest('hex'));
+  });
+
+  test('kills everything a hook command started once it times out', { skip: process.platform === 'win32' }, async () => {
+    const markerFile = path.join(workDir, 'hook-late.txt');
+    // The trailing echo keeps the shell from handing its process over to node
+    const command = `node -e "setTimeout(() => require('fs').writeFileSync(process.argv[1], 'x'), 1500)" "${markerFile}"; echo fertig`;
+
+    const results = await runHooks([{ type: 'command', command, timeout: 0.3 }], { fileName: 'x.exe' });
+
+    assert.match(results[0].error, /abgebrochen/);
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    await assert.rejects(fs.access(markerFile));
+  });
+
+  test('refuses placeholders in hook commands at startup', async () => {
+    await assert.rejects(
+      async () => createDownloader({}, { hooks: { 'ista-next:client': [{ type: 'command', command: 'install.cmd {fileName}' }] } }),
+      /Platzhalter in Befehlen/
+    );
+  });
+});
+
+describe('manifest and file server', () => {
+  test('publishes downloaded files and serves byte ranges of them only', async () => {
+    const downloader = await createDownloader();
+    downloader.context = fakeContext([portal.createSession()]);
+    const key = 'ista-next/BMW_PTD_Driver_2.5.1.exe';
+    await downloader.downloadFile({
+      title: 'BMW PTD-Treiber',
+      url: portal.downloadLink(key),
+      appType: 'ista-next',
+      category: 'ptd_driver',
+      displayName: 'BMW PTD-Treiber',
+      version: '2.5.1'
+    });
+    await downloader.publishManifest();
+
+    const manifest = JSON.parse(await fs.readFile(path.join(downloader.downloadDir, 'manifest.json'), 'utf-8'));
+    const published = manifest.applications['ista-next'].ptd_driver;
+    assert.equal(published.path, 'ista-next/ptd_driver/2.5.1/BMW_PTD_Driver_2.5.1.exe');
+    assert.match(await fs.readFile(path.join(downloader.downloadDir, 'feed.atom'), 'utf-8'), /BMW PTD-Treiber 2\.5\.1/);
+
+    const server = await startFileServer(downloader, { port: 0, host: '127.0.0.1' });
+    try {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+      const request = (url, headers = {}) =>
+        axios.get(new URL(url, baseUrl).href, { headers, responseType: 'arraybuffer', validateStatus: () => true });
+
+      const partial = await request(published.url, { Range: 'bytes=100-199' });
+      assert.equal(partial.status, 206);
+      assert.deepEqual(Buffer.from(partial.data), MOCK_FILES[key].subarray(100, 200));
+
+      assert.equal((await request('files/session-state.json')).status, 404);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('sends file names with quotes and umlauts in an intact Content-Disposition', async () => {
+    const downloader = await createDownloader();
+    const fileName = 'Händler "Info" (1).exe';
+    const filePath = path.join(downloader.downloadDir, 'ista-next', 'info', fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, 'info');
+    downloader.metadata['ista-next_info'] = { appType: 'ista-next', category: 'info', version: '1.0.0', fileName, filePath, sha256: 'abc' };
+
+    const server = await startFileServer(downloader, { port: 0, host: '127.0.0.1' });
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/files/ista-next/info/${encodeURIComponent(fileName)}`;
+      const response = await axios.get(url, { validateStatus: () => true });
+      assert.equal(response.status, 200);
+      assert.equal(
+        response.headers['content-disposition'],
+        `attachment; filename="H_ndler _Info_ (1).exe"; filename*=UTF-8''H%C3%A4ndler%20%22Info%22%20%281%29.exe`
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('run history', () => {
+  test('reports when each version first appeared and survives a truncated record', async () => {
+    const historyPath = path.join(await fs.mkdtemp(path.join(workDir, 'history-')), 'runs.jsonl');
+    const scrapedRun = (id, startedAt, version) => ({
+      id,
+      startedAt,
+      applications: { 'ista-next': { navigation: 'ok', scraped: [{ category: 'programming_data', version }] } },
+      downloads: [],
+      failedAttempts: []
+    });
+
+    await appendRun(historyPath, scrapedRun('a', '2026-09-01T06:00:00.000Z', '4.53.20'));
+    await appendRun(historyPath, scrapedRun('b', '2026-09-02T06:00:00.000Z', '4.53.30'));
+    await appendRun(historyPath, scrapedRun('c', '2026-09-03T06:00:00.000Z', '4.53.30'));
+    await fs.appendFile(historyPath, '{"id":"d","startedAt":"2026-09-04');
+
+    const runs = await readRuns(historyPath);
+    assert.deepEqual(runs.map(run => run.id), ['a', 'b', 'c']);
+
+    const seen = findFirstSeen(runs).find(entry => entry.version === '4.53.30');
+    assert.equal(seen.firstSeenAt, '2026-09-02T06:00:00.000Z');
+    assert.equal(seen.firstRunId, 'b');
+    assert.equal(seen.lastSeenAt, '2026-09-03T06:00:00.000Z');
+    assert.equal(seen.seenCount, 2);
+
+    assert.deepEqual((await readRuns(historyPath, { since: '2026-09-03' })).map(run => run.id), ['c']);
+
+    // Limited to recent sightings, the first one still comes from the whole history
+    const recent = findFirstSeen(runs, { since: '2026-09-03' });
+    assert.deepEqual(recent.map(entry => entry.version), ['4.53.30']);
+    assert.equal(recent[0].firstSeenAt, '2026-09-02T06:00:00.000Z');
+  });
+});
+
+describe('login', () => {
+  test('computes the TOTP codes of RFC 6238', () => {
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    assert.equal(generateTotp(secret, { time: 59000, digits: 8 }), '94287082');
+    assert.equal(generateTotp(secret.toLowerCase(), { time: 1111111109000, digits: 8 }), '07081804');
+    assert.equal(generateTotp(secret, { time: 59000 }), '287082');
+  });
+
+  test('stores the session readable by the owner only', async () => {
+    const downloader = await createDownloader();
+    await fs.mkdir(downloader.downloadDir, { recursive: true });
+    const state = { cookies: [portal.createSession()], origins: [] };
+    downloader.context = { storageState: async () => state };
+
+    await downloader.saveSession();
+
+    const stats = await fs.stat(downloader.sessionFile);
+    assert.equal(stats.mode & 0o777, 0o600);
+    assert.deepEqual(JSON.parse(await fs.readFile(downloader.sessionFile, 'utf-8')), state);
+  });
+
+  test('stops trying after repeated rejections until the credentials change', async () => {
+    const downloader = await createDownloader({ LOGIN_MAX_FAILURES: '2' });
+    await downloader.recordLoginAttempt(new LoginError('abgewiesen', 'invalid_credentials'));
+    await downloader.recordLoginAttempt(new LoginError('keine Antwort', 'timeout'));
+    assert.equal(downloader.getLoginBlock(), null);
+
+    await downloader.recordLoginAttempt(new LoginError('abgewiesen', 'invalid_credentials'));
+    // No page needed, the guard answers before the browser is touched
+    assert.equal(await downloader.login(), false);
+    assert.equal(downloader.loginError.code, 'login_blocked');
+
+    downloader.profile.password = 'neu';
+    assert.equal(downloader.getLoginBlock(), null);
+    delete process.env.LOGIN_MAX_FAILURES;
+  });
+});
+
+describe('diagnostics', () => {
+  // Just enough of a Playwright page to write a bundle without a browser
+  function fakePage(html, frames) {
+    return {
+      url: () => 'https://auth.example.com/XUI/?goto=/start&token=abc123',
+      title: async () => 'Anmeldung',
+      content: async () => html,
+      frames: () => frames.map(([name, content]) => ({ name: () => name, url: () => 'https://aos.example.com/frame', content: async () => content })),
+      screenshot: async ({ path: screenshotPath }) => fs.writeFile(screenshotPath, 'png'),
+      locator: () => ({})
+    };
+  }
+
+  test('writes redacted bundles and keeps only the newest', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'diagnostics-'));
+    const diagnostics = new Diagnostics({ enabled: true, trace: false, dir, keep: 2, secrets: ['geheim-passwort'] });
+    const page = fakePage(
+      '<form><input type="password" name="j_password" value="geheim-passwort"><input type="hidden" name="csrf" value="xyz"></form>',
+      [['', '<p>Hauptseite</p>'], ['downloads', '<a href="/file">Download</a>']]
+    );
+
+    const bundleDir = await diagnostics.capture(page, { operation: 'login', subject: 'default', error: new Error('geheim-passwort abgewiesen') });
+    const html = await fs.readFile(path.join(bundleDir, 'page.html'), 'utf-8');
+    assert.ok(!html.includes('geheim-passwort') && !html.includes('xyz'));
+
+    const info = JSON.parse(await fs.readFile(path.join(bundleDir, 'info.json'), 'utf-8'));
+    assert.equal(info.error, '[entfernt] abgewiesen');
+    assert.match(info.url, /token=%5Bentfernt%5D/);
+    assert.deepEqual(info.frames.map(frame => frame.file), ['frames/00-frame.html', 'frames/01-downloads.html']);
+
+    // Bundles of the same second would share a folder, rename the first one to an older timestamp
+    await fs.rename(bundleDir, path.join(dir, '20000101T000000Z-login-default'));
+    await diagnostics.capture(page, { operation: 'navigation', subject: 'ista-p', error: new Error('Timeout') });
+    await diagnostics.capture(page, { operation: 'scrape', subject: 'ista-next', error: new Error('leer') });
+    const remaining = await fs.readdir(dir);
+    assert.equal(remaining.length, 2);
+    assert.ok(!remaining.includes('20000101T000000Z-login-default'));
+  });
+
+  test('strips credentials, headers and cookies from a saved trace', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'trace-'));
+    const tracePath = path.join(dir, 'trace-1.zip');
+    const network = {
+      type: 'resource-snapshot',
+      snapshot: {
+        request: {
+          url: 'https://auth.example.com/login?session=s3ss10n',
+          headers: [{ name: 'Cookie', value: 'iPlanetDirectoryPro=s3ss10n' }, { name: 'Accept', value: 'text/html' }],
+          cookies: [{ name: 'iPlanetDirectoryPro', value: 's3ss10n' }],
+          postData: { text: 'j_username=werkstatt&j_password=geheim-passwort' }
+        },
+        response: { headers: [{ name: 'Set-Cookie', value: 'amlbcookie=01; Path=/' }], cookies: [] }
+      }
+    };
+    await fs.writeFile(tracePath, buildZip([
+      { name: 'trace.network', data: Buffer.from(`${JSON.stringify(network)}\n`) },
+      { name: 'trace.trace', data: Buffer.from(`${JSON.stringify({ type: 'frame-snapshot', html: ['INPUT', { __playwright_value_: 'geheim-passwort' }] })}\n`) },
+      { name: 'resources/page.png', data: Buffer.from('png') }
+    ]));
+
+    await redactTrace(tracePath, ['geheim-passwort', 's3ss10n']);
+
+    const entries = await readZip(tracePath);
+    const text = entries.map(entry => entry.data.toString('utf-8')).join('\n');
+    for (const secret of ['geheim-passwort', 's3ss10n', 'amlbcookie=01']) {
+      assert.ok(!text.includes(secret), `${secret} im Trace`);
+    }
+    assert.ok(text.includes('text/html'));
+    assert.deepEqual(entries.map(entry => entry.name), ['trace.network', 'trace.trace', 'resources/page.png']);
+  });
+});
+
+describe('classifyError', () => {
+  test('decides between retry, re-login, new link and giving up', () => {
+    const networkError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    assert.deepEqual(classifyError(networkError), { action: 'retry', kind: 'network' });
+    assert.equal(classifyError(new HttpStatusError('HTTP 503', 503)).action, 'retry');
+    assert.equal(classifyError(new SessionExpiredError('Login')).action, 'relogin');
+    assert.equal(classifyError(new LinkExpiredError('abgelaufen')).action, 'refresh_link');
+    assert.deepEqual(classifyError(new HttpStatusError('HTTP 404', 404)), { action: 'give_up', kind: 'not_found' });
+  });
+});
+
+describe('profiles', () => {
+  test('gives each profile its own credentials, applications and directories', async () => {
+    process.env.TEST_PROFILE_PASSWORD = 'aus-env';
+    const [muenchen, wien] = loadProfiles({
+      profiles: {
+        muenchen: { username: 'm@example.com', passwordEnv: 'TEST_PROFILE_PASSWORD', applications: ['ista-next'] },
+        wien: { username: 'w@example.com', password: 'geheim', locale: 'de-AT', downloadDir: path.join(workDir, 'wien') }
+      }
+    });
+
+    assert.equal(muenchen.password, 'aus-env');
+    assert.equal(wien.locale, 'de-AT');
+    assert.equal(wien.sessionFile, path.join(workDir, 'wien', 'session-state.json'));
+
+    const downloader = new BMWISTADownloader({ config: {}, profile: muenchen });
+    assert.deepEqual(Object.keys(downloader.applications), ['ista-next']);
+    assert.notEqual(downloader.downloadDir, wien.downloadDir);
+  });
+
+  test('stops only the failing profile and reports it', async () => {
+    const downloader = await createDownloader();
+    const notified = [];
+    let cleanedUp = false;
+    downloader.initialize = async () => {
+      throw new Error('Browser startet nicht');
+    };
+    downloader.notifier.notify = async (event, data) => notified.push({ event, data });
+    downloader.cleanup = async () => {
+      cleanedUp = true;
+    };
+
+    // Used to end the whole process with every other profile in it
+    await assert.rejects(downloader.run({ servers: false }), /Browser startet nicht/);
+    assert.deepEqual(notified, [{ event: 'profile_failed', data: { error: 'Browser startet nicht' } }]);
+    assert.equal(cleanedUp, true);
+  });
+});
+
+describe('scheduler', () => {
+  test('parses download windows and handles those past midnight in the configured time zone', () => {
+    const night = parseWindow('22:00-06:00');
+    assert.deepEqual(night, { label: '22:00-06:00', start: 22 * 60, end: 6 * 60 });
+    assert.throws(() => parseWindow('22-6'), /Ungültiges Download-Fenster/);
+
+    const windows = [night, parseWindow('12:00-13:00')];
+    // Berlin is UTC+1 in January and UTC+2 in July
+    assert.equal(isInWindows(windows, new Date('2026-01-15T22:30:00Z'), 'Europe/Berlin'), true);
+    assert.equal(isInWindows(windows, new Date('2026-07-15T03:59:00Z'), 'Europe/Berlin'), true);
+    assert.equal(isInWindows(windows, new Date('2026-07-15T04:00:00Z'), 'Europe/Berlin'), false);
+    assert.equal(isInWindows(windows, new Date('2026-07-15T10:30:00Z'), 'Europe/Berlin'), true);
+    assert.equal(isInWindows(windows, new Date('2026-07-15T10:30:00Z'), 'UTC'), false);
+    assert.equal(isInWindows([], new Date()), true);
+  });
+
+  test('finds the previous and next run of a cron expression', () => {
+    assert.equal(findPreviousRun('0 */6 * * *', new Date('2026-10-19T13:15:00Z'), 'UTC').toISOString(), '2026-10-19T12:00:00.000Z');
+    assert.equal(findNextRun('0 */6 * * *', new Date('2026-10-19T18:00:00Z'), 'UTC').toISOString(), '2026-10-20T00:00:00.000Z');
+    // 2026-10-17 is a Saturday, Sunday may be written as 7
+    assert.equal(findNextRun('0 8 * * Mon-Fri', new Date('2026-10-17T10:00:00Z'), 'UTC').toISOString(), '2026-10-19T08:00:00.000Z');
+    assert.equal(findNextRun('0 8 * * 7', new Date('2026-10-17T10:00:00Z'), 'UTC').toISOString(), '2026-10-18T08:00:00.000Z');
+    // 02:30 does not exist in Berlin on the day the clocks go forward
+    assert.equal(findNextRun('30 2 * * *', new Date('2026-03-28T12:00:00Z'), 'Europe/Berlin').toISOString(), '2026-03-30T00:30:00.000Z');
+    assert.throws(() => validateCron('61 * * * *'), /Ungültiger Cron-Ausdruck/);
+  });
+
+  test('catches up on applications whose scheduled check was missed', () => {
+    const now = new Date('2026-10-19T10:30:00Z');
+    const missed = findMissedChecks({
+      'ista-p': '0 2 * * *',
+      'ista-next': '0 */4 * * *',
+      'ista-new': '0 * * * *'
+    }, {
+      'ista-p': '2026-10-19T02:01:00Z',
+      'ista-next': '2026-10-19T06:00:00Z'
+    }, now, 'UTC');
+
+    assert.deepEqual(missed, ['ista-next', 'ista-new']);
+  });
+});
+
+describe('DownloadQueue', () => {
+  const job = (name, log, counter) => async () => {
+    log.push(name);
+    counter.running++;
+    counter.max = Math.max(counter.max, counter.running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    counter.running--;
+    return name;
+  };
+
+  test('starts waiting jobs by priority', async () => {
+    const queue = new DownloadQueue({ concurrency: 1 });
+    const started = [];
+    const counter = { running: 0, max: 0 };
+
+    const results = await Promise.all([
+      queue.add(job('programmierdaten', started, counter), 90),
+      queue.add(job('client', started, counter), 50),
+      queue.add(job('ptd', started, counter), 10),
+      queue.add(job('icom', started, counter), 10)
+    ]);
+
+    assert.deepEqual(started, ['ptd', 'icom', 'client', 'programmierdaten']);
+    assert.deepEqual(results, ['programmierdaten', 'client', 'ptd', 'icom']);
+  });
+
+  test('never runs more jobs than the concurrency limit', async () => {
+    const queue = new DownloadQueue({ concurrency: 2 });
+    const counter = { running: 0, max: 0 };
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(name => queue.add(job(name, [], counter))));
+
+    assert.equal(counter.max, 2);
+  });
+
+  test('throttles transfers to the configured bandwidth', async () => {
+    const limiter = new BandwidthLimiter(64 * 1024);
+    const startedAt = Date.now();
+    await Promise.all([limiter.take(64 * 1024), limiter.take(32 * 1024), limiter.take(32 * 1024)]);
+    assert.ok(Date.now() - startedAt >= 900);
+  });
+});
+
+describe('against the mock portal in a browser', { skip: browserSkip }, () => {
+  test('login fails with wrong credentials', { timeout: 120000 }, async () => {
+    const downloader = await createDownloader({ BMW_PASSWORD: 'falsch' });
+    try {
+      await downloader.initialize();
+      assert.equal(await downloader.login(), false);
+      assert.equal(downloader.isLoggedIn, false);
+    } finally {
+      await downloader.cleanup();
+    }
+  });
+
+  test('recognizes a locked account and does not try again', { timeout: 120000 }, async () => {
+    const downloader = await createDownloader();
+    portal.state.accountStatus = 'locked';
+    try {
+      await downloader.initialize();
+      assert.equal(await downloader.login(), false);
+      assert.equal(downloader.loginError.code, 'account_locked');
+
+      const attempts = portal.state.loginAttempts;
+      assert.equal(await downloader.login(), false);
+      assert.equal(downloader.loginError.code, 'login_blocked');
+      assert.equal(portal.state.loginAttempts, attempts);
+    } finally {
+      portal.state.accountStatus = null;
+      await downloader.cleanup();
+    }
+  });
+
+  test('keeps the credentials and session cookies out of the saved trace', { timeout: 120000 }, async () => {
+    const downloader = await createDownloader({ DIAGNOSTICS: 'true' });
+    try {
+      await downloader.initialize();
+      await downloader.diagnostics.startTrace(downloader.context);
+      assert.equal(await downloader.login(), true);
+      assert.equal(await downloader.navigateToApplication('ista-p'), true);
+      await downloader.captureDiagnostics('scrape', 'ista-p', new Error('Test'));
+      const traceDir = await downloader.diagnostics.stopTrace(downloader.context, 'test');
+
+      const cookies = await downloader.context.cookies();
+      for (const file of await fs.readdir(traceDir)) {
+        const text = (await readZip(path.join(traceDir, file))).map(entry => entry.data.toString('latin1')).join('\n');
+        assert.ok(!text.includes(portal.password), `Passwort in ${file}`);
+        for (const cookie of cookies.filter(cookie => cookie.value.length >= 4)) {
+          assert.ok(!text.includes(cookie.value), `Cookie ${cookie.name} in ${file}`);
+        }
+      }
+    } finally {
+      delete process.env.DIAGNOSTICS;
+      await downloader.cleanup();
+    }
+  });
+
+  test('logs in with a TOTP code', { timeout: 120000 }, async () => {
+    const totpSecret = 'JBSWY3DPEHPK3PXP';
+    const totpPortal = await startMockPortal({ totpSecret });
+    const downloader = await createDownloader({
+      BMW_AUTH_URL: totpPortal.authUrl,
+      BMW_ISTA_P_URL: totpPortal.istaPUrl,
+      BMW_ISTA_NEXT_URL: totpPortal.istaNextUrl,
+      BMW_TOTP_SECRET: totpSecret
+    });
+    try {
+      await downloader.initialize();
+      assert.equal(await downloader.login(), true);
+    } finally {
+      delete process.env.BMW_TOTP_SECRET;
+      await downloader.cleanup();
+      await totpPortal.close();
+    }
+  });
+
+  test('finds the downloads on both application pages', { timeout: 120000 }, async () => {
+    const downloader = await createDownloader();
+    try {
+      await downloader.initialize();
+      assert.equal(await downloader.login(), true);
+
+      assert.equal(await downloader.navigateToApplication('ista-p'), true);
+      const istaP = await downloader.findDownloads('ista-p');
+      assert.deepEqual(Object.keys(istaP).sort(), ['data_archive', 'installer']);
+      // Button in a cross-origin frame, resolved through the download event
+      assert.match(istaP.data_archive.method, /^click_download_frame_/);
+      assert.equal(istaP.data_archive.fileName, 'ISTA-P_CommonDat_3.74.0.930.istapdata');
+
+      assert.equal(await downloader.navigateToApplication('ista-next'), true);
+      const istaNext = await downloader.findDownloads('ista-next');
+      assert.deepEqual(Object.keys(istaNext).sort(), ['client', 'icom_firmware', 'programming_data', 'ptd_driver']);
+      assert.equal(istaNext.client.method, 'api_catalog');
+    } finally {
+      await downloader.cleanup();
+    }
+  });
+
+  test('runs a full update cycle and skips known versions afterwards', { timeout: 180000 }, async () => {
+    const downloader = await createDownloader();
+    try {
+      await downloader.initialize();
+
+      const first = await downloader.checkForUpdates();
+      assert.equal(first.successCount, 6);
+      assert.equal(first.failCount, 0);
+      assert.deepEqual(first.errors, []);
+
+      const second = await downloader.checkForUpdates();
+      assert.equal(second.successCount, 0);
+      assert.equal(second.failCount, 0);
+
+      const runs = await downloader.loadRunHistory();
+      assert.equal(runs.length, 2);
+      assert.equal(runs[0].downloads.filter(download => download.outcome === 'success').length, 6);
+      assert.ok(runs[0].downloads.every(download => download.bytes > 0));
+      assert.ok(Object.values(runs[1].applications).every(application =>
+        application.scraped.length > 0 && application.decisions.every(decision => !decision.download)));
+    } finally {
+      await downloader.cleanup();
+    }
+  });
+});
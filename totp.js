@@ -0,0 +1,38 @@
+import { createHmac } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps show the secret in groups and sometimes lower case, "jbsw y3dp ehpk 3pxp"
+function decodeBase32(secret) {
+  const normalized = secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  let bits = '';
+  for (const char of normalized) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('TOTP-Secret ist kein gültiges Base32');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 6238 time-based one-time password, the defaults match ForgeRock's OATH module
+export function generateTotp(secret, { time = Date.now(), period = 30, digits = 6, algorithm = 'sha1' } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / period)));
+
+  const hmac = createHmac(algorithm, decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+// Seconds until the current code is replaced by the next one
+export function getTotpRemaining({ time = Date.now(), period = 30 } = {}) {
+  return period - Math.floor(time / 1000) % period;
+}
@@ -0,0 +1,128 @@
+import zlib from 'zlib';
+import yauzl from 'yauzl';
+
+// zlib.crc32 only exists from Node 20.15 on
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = zlib.crc32 || ((buffer, previous = 0) => {
+  let crc = ~previous;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+});
+
+export function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, decodeStrings: true }, (error, zipFile) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(zipFile);
+      }
+    });
+  });
+}
+
+export function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stream);
+      }
+    });
+  });
+}
+
+// Every file of an archive in memory, only meant for small ones like Playwright traces
+export async function readZip(filePath) {
+  const zipFile = await openZip(filePath);
+  const entries = [];
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', async entry => {
+        try {
+          if (!entry.fileName.endsWith('/')) {
+            const chunks = [];
+            for await (const chunk of await openEntryStream(zipFile, entry)) {
+              chunks.push(chunk);
+            }
+            entries.push({ name: entry.fileName, data: Buffer.concat(chunks) });
+          }
+          zipFile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+  return entries;
+}
+
+// Deflated archive without zip64, entries are [{ name, data }]
+export function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const fileName = Buffer.from(name, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names, deflate, 1980-01-01 00:00
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}